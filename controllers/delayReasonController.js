@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const { summarizeDelays } = require('../utils/taskDelay');
+
+/**
+ * @route   GET /api/delay-reasons/analytics
+ * @desc    Summarize the days lost to late task completions by delay reason, responsible department and buyer.
+ *          Query: { from?, to? (actual completion dates), buyerId?, seasonId? }
+ * @access  Planner or Admin
+ */
+const getDelayAnalytics = async (req, res) => {
+  const { from, to, buyerId, seasonId } = req.query;
+
+  const taskMatch = { 'tasks.status': 'completed', 'tasks.delay.daysLate': { $gt: 0 } };
+  if (from || to) {
+    const fromDate = from ? moment(from) : null;
+    const toDate = to ? moment(to) : null;
+    if ((fromDate && !fromDate.isValid()) || (toDate && !toDate.isValid())) {
+      return res.status(400).json({ message: 'Invalid from or to date format.' });
+    }
+    taskMatch['tasks.actualCompletion'] = {
+      ...(fromDate && { $gte: fromDate.startOf('day').toDate() }),
+      ...(toDate && { $lte: toDate.endOf('day').toDate() })
+    };
+  }
+
+  const snapshotMatch = { 'tasks.delay.daysLate': { $gt: 0 } };
+  if (seasonId) {
+    if (!mongoose.Types.ObjectId.isValid(seasonId)) {
+      return res.status(400).json({ message: 'Invalid season ID.' });
+    }
+    snapshotMatch.seasonId = new mongoose.Types.ObjectId(seasonId);
+  }
+
+  const seasonMatch = {};
+  if (buyerId) {
+    if (!mongoose.Types.ObjectId.isValid(buyerId)) {
+      return res.status(400).json({ message: 'Invalid buyer ID.' });
+    }
+    seasonMatch['season.buyer'] = new mongoose.Types.ObjectId(buyerId);
+  }
+
+  try {
+    const rows = await SeasonSnapshot.aggregate([
+      { $match: snapshotMatch },
+      { $unwind: '$tasks' },
+      { $match: taskMatch },
+      { $lookup: { from: 'seasons', localField: 'seasonId', foreignField: '_id', as: 'season' } },
+      { $unwind: '$season' },
+      { $match: seasonMatch },
+      { $lookup: { from: 'buyers', localField: 'season.buyer', foreignField: '_id', as: 'buyer_docs' } },
+      { $unwind: { path: '$buyer_docs', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          reasonCode: '$tasks.delay.reasonCode',
+          reasonName: '$tasks.delay.reasonName',
+          daysLate: '$tasks.delay.daysLate',
+          responsible: '$tasks.responsible',
+          buyerId: '$buyer_docs._id',
+          buyerName: '$buyer_docs.name'
+        }
+      }
+    ]);
+
+    res.json(summarizeDelays(rows));
+  } catch (error) {
+    console.error('Error building delay analytics:', error);
+    res.status(500).json({ message: 'Server error while building delay analytics.' });
+  }
+};
+
+module.exports = {
+  getDelayAnalytics,
+};
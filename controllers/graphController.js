@@ -0,0 +1,107 @@
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const { loadCalendar } = require('../utils/workingCalendar');
+const { analyzeCriticalPath } = require('../utils/criticalPath');
+const { buildGraph, sendGraph } = require('../utils/graphExport');
+
+/**
+ * @route   GET /api/task-templates/graph
+ * @desc    Get the dependency graph of a template set as JSON, DOT or Mermaid (?format=)
+ * @access  Authenticated Users
+ */
+const getTemplateGraph = async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.resolve(req.query.templateSetId);
+    await TemplateSet.assertNotChanging(templateSet._id);
+    const templates = await TaskTemplate.find({ templateSet: templateSet._id });
+
+    // Templates in snapshot task shape; inactive templates take no time, as in a new season
+    const tasks = templates.map(template => ({
+      order: template.order,
+      name: template.name,
+      responsible: template.defaultResponsible,
+      leadTime: template.defaultLeadTime,
+      precedingTasks: template.defaultPrecedingTasks,
+      dependencyLinks: template.defaultDependencyLinks,
+      status: template.isActive ? 'pending' : 'completed'
+    }));
+    const calendar = await loadCalendar();
+    const { criticalPath, duration } = analyzeCriticalPath(tasks, new Date(), calendar);
+
+    const graph = buildGraph(
+      tasks.map(task => ({ ...task, status: task.status === 'pending' ? 'active' : 'inactive' })),
+      criticalPath
+    );
+    sendGraph(res, graph, req.query.format, `Task templates - ${templateSet.name}`, {
+      templateSet: { _id: templateSet._id, name: templateSet.name },
+      duration,
+      criticalPath
+    });
+  } catch (error) {
+    console.error('Error building template graph:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while building the template graph.' });
+  }
+};
+
+/**
+ * @route   GET /api/seasons/:id/graph
+ * @desc    Get the dependency graph of a season's tasks as JSON, DOT or Mermaid (?format=)
+ * @access  Authenticated Users
+ */
+const getSeasonGraph = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const season = await Season.findById(id);
+    const snapshot = await SeasonSnapshot.findOne({ seasonId: id });
+
+    if (!season || !snapshot) {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+
+    const calendar = await loadCalendar();
+    const { criticalPath, duration } = analyzeCriticalPath(snapshot.tasks, season.createdAt, calendar);
+
+    const tasks = snapshot.tasks.map(task => {
+      let status = task.status;
+      if (task.skipped) {
+        status = 'skipped';
+      } else if (task.status === 'completed' && !task.actualCompletion) {
+        status = 'inactive'; // Created from an inactive template
+      }
+      return {
+        order: task.order,
+        name: task.name,
+        responsible: task.responsible,
+        leadTime: task.leadTime,
+        precedingTasks: task.precedingTasks,
+        dependencyLinks: task.dependencyLinks,
+        status
+      };
+    });
+
+    sendGraph(res, buildGraph(tasks, criticalPath), req.query.format, season.name, {
+      seasonId: season._id,
+      duration,
+      criticalPath
+    });
+  } catch (error) {
+    console.error('Error building season graph:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    res.status(500).json({ message: 'Server error while building the season graph.' });
+  }
+};
+
+module.exports = {
+  getTemplateGraph,
+  getSeasonGraph,
+};
@@ -1,7 +1,17 @@
 const Season = require('../models/Season');
 const SeasonSnapshot = require('../models/SeasonSnapshot');
+const Buyer = require('../models/Buyer');
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
 const logActivity = require('../utils/logActivity');
-const { updateSeasonAttention } = require('../utils/taskProgression');
+const { updateSeasonAttention, updateSeasonSchedule } = require('../utils/taskProgression');
+const { loadCalendar, nextWorkingDay, addWorkingDays } = require('../utils/workingCalendar');
+const { analyzeCriticalPath } = require('../utils/criticalPath');
+const { formatDependencies, sortByDependencyOrder } = require('../utils/dependencyGraph');
+const { buildSnapshotTasks } = require('../utils/templateSync');
+const { validateAttributes } = require('../utils/ruleExpression');
+const { UNASSIGNED_PHASE, groupTasksByPhase, getPhaseProgress, getMilestones } = require('../utils/seasonPhases');
+const { notifySeasonStatusChange } = require('../utils/notificationDispatcher');
 const ExcelJS = require('exceljs');
 const moment = require('moment');
 
@@ -53,6 +63,7 @@ const updateSeasonStatus = async (req, res) => {
       action: 'UPDATE_STATUS',
       details: `Season status updated from "${oldStatus}" to "${newStatus}".`
     });
+    await notifySeasonStatusChange(season, oldStatus, userId);
 
     const populatedSeason = await Season.findById(seasonId).populate('buyer', 'name');
     res.json(populatedSeason);
@@ -63,6 +74,142 @@ const updateSeasonStatus = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/seasons/:id/critical-path
+ * @desc    Get the critical path, earliest/latest start and total float of a season's tasks
+ * @access  Authenticated Users
+ */
+const getSeasonCriticalPath = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const season = await Season.findById(id);
+    const snapshot = await SeasonSnapshot.findOne({ seasonId: id });
+
+    if (!season || !snapshot) {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+
+    const calendar = await loadCalendar();
+    const analysis = analyzeCriticalPath(snapshot.tasks, season.createdAt, calendar);
+
+    res.json({ seasonId: season._id, ...analysis });
+  } catch (error) {
+    console.error('Error calculating critical path:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    res.status(500).json({ message: 'Server error while calculating critical path.' });
+  }
+};
+
+/**
+ * @route   POST /api/seasons/preview
+ * @desc    Dry-run the schedule of a new season from a start date without saving anything.
+ *          Body: { startDate, templateSetId?, buyerId?, targetDeliveryDate?, attributes?, leadTimeOverrides?: { [order]: days } }
+ * @access  Planner or Admin
+ */
+const previewSeasonTimeline = async (req, res) => {
+  const { startDate, templateSetId, buyerId, targetDeliveryDate, attributes = {}, leadTimeOverrides } = req.body;
+
+  const start = startDate ? new Date(startDate) : new Date();
+  if (isNaN(start.getTime())) {
+    return res.status(400).json({ message: 'Invalid startDate format' });
+  }
+  let deliveryDate = null;
+  if (targetDeliveryDate) {
+    deliveryDate = new Date(targetDeliveryDate);
+    if (isNaN(deliveryDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid targetDeliveryDate format' });
+    }
+  }
+  const attributesError = validateAttributes(attributes);
+  if (attributesError) {
+    return res.status(400).json({ message: attributesError });
+  }
+  if (leadTimeOverrides !== undefined && (typeof leadTimeOverrides !== 'object' || leadTimeOverrides === null || Array.isArray(leadTimeOverrides))) {
+    return res.status(400).json({ message: 'leadTimeOverrides must be an object of order code to lead time.' });
+  }
+
+  try {
+    // Same template set resolution as season creation: explicit, the buyer's default, then the global default
+    let buyerDefaultSet = null;
+    if (!templateSetId && buyerId) {
+      const buyer = await Buyer.findById(buyerId);
+      if (!buyer) {
+        return res.status(400).json({ message: 'Invalid Buyer ID' });
+      }
+      buyerDefaultSet = buyer.defaultTemplateSet;
+    }
+    const templateSet = await TemplateSet.resolve(templateSetId || buyerDefaultSet);
+    await TemplateSet.assertNotChanging(templateSet._id);
+    const templates = await TaskTemplate.find({ templateSet: templateSet._id });
+
+    const tasks = buildSnapshotTasks(templates, attributes);
+    const tasksByOrder = new Map(tasks.map(t => [t.order, t]));
+    const overrideErrors = [];
+    Object.entries(leadTimeOverrides || {}).forEach(([order, leadTime]) => {
+      if (!tasksByOrder.has(order)) {
+        overrideErrors.push(`Unknown task '${order}'.`);
+      } else if (!Number.isInteger(leadTime) || leadTime < 1) {
+        overrideErrors.push(`Lead time for '${order}' must be a whole number of days (1 or more).`);
+      } else {
+        tasksByOrder.get(order).leadTime = leadTime;
+      }
+    });
+    if (overrideErrors.length > 0) {
+      return res.status(400).json({ message: `Invalid lead time override(s): ${overrideErrors.join(' ')}`, errors: overrideErrors });
+    }
+
+    // A plain object stands in for the season: nothing is written to the database
+    const calendar = await loadCalendar();
+    const season = { createdAt: start, targetDeliveryDate: deliveryDate, attributes };
+    updateSeasonSchedule(season, tasks, calendar);
+    const analysis = analyzeCriticalPath(tasks, start, calendar);
+    const analysisByOrder = new Map(analysis.tasks.map(t => [t.order, t]));
+
+    res.json({
+      templateSet: { _id: templateSet._id, name: templateSet.name },
+      startDate: start,
+      targetDeliveryDate: deliveryDate,
+      forecastFinishDate: season.forecastFinishDate,
+      isLateVsDelivery: season.isLateVsDelivery,
+      duration: analysis.duration,
+      criticalPath: analysis.criticalPath,
+      phases: getPhaseProgress(tasks),
+      milestones: getMilestones(tasks),
+      tasks: sortByDependencyOrder(tasks)
+        .map(task => ({
+          order: task.order,
+          name: task.name,
+          responsible: task.responsible,
+          leadTime: task.leadTime,
+          precedingTasks: formatDependencies(task.precedingTasks, task.dependencyLinks),
+          phase: task.phase,
+          isMilestone: task.isMilestone,
+          isActive: task.sourceTemplateActiveOnCreation,
+          isApplicable: task.sourceRuleMatchedOnCreation,
+          startDate: task.forecastDates.start,
+          endDate: task.forecastDates.end,
+          latestDates: task.latestDates,
+          totalFloat: analysisByOrder.get(task.order).totalFloat,
+          isCritical: analysisByOrder.get(task.order).isCritical
+        }))
+    });
+  } catch (error) {
+    console.error('Error previewing season timeline:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid Buyer ID' });
+    }
+    res.status(500).json({ message: 'Server error while previewing the timeline.' });
+  }
+};
+
 const exportSeasonToExcel = async (req, res) => {
   try {
     const { id } = req.params;
@@ -73,8 +220,8 @@ const exportSeasonToExcel = async (req, res) => {
       return res.status(404).json({ message: 'Season not found.' });
     }
 
-    // Helper function to calculate the reference timeline
-    const calculateReferenceTimeline = (tasks, seasonCreationDate) => {
+    // Helper function to calculate the reference timeline (lead times in working days)
+    const calculateReferenceTimeline = (tasks, seasonCreationDate, calendar) => {
       const timeline = new Map();
       if (!tasks || tasks.length === 0) return timeline;
 
@@ -113,9 +260,9 @@ const exportSeasonToExcel = async (req, res) => {
           }
 
           if (canCalculate) {
-            const startDate = maxPrecedingEndDate;
-            const endDate = moment(startDate).add(task.leadTime, 'days');
-            timeline.set(task._id.toString(), { start: startDate.toDate(), end: endDate.toDate() });
+            const startDate = nextWorkingDay(maxPrecedingEndDate.toDate(), calendar);
+            const endDate = addWorkingDays(startDate, task.leadTime, calendar);
+            timeline.set(task._id.toString(), { start: startDate, end: endDate });
             processedInThisIteration++;
           }
         });
@@ -130,7 +277,17 @@ const exportSeasonToExcel = async (req, res) => {
       return timeline;
     };
 
-    const referenceTimeline = calculateReferenceTimeline(snapshot.tasks, season.createdAt);
+    const calendar = await loadCalendar();
+    const referenceTimeline = calculateReferenceTimeline(snapshot.tasks, season.createdAt, calendar);
+
+    // Critical path analysis; the export still works if the graph cannot be analysed.
+    const criticalPathInfo = new Map();
+    try {
+      analyzeCriticalPath(snapshot.tasks, season.createdAt, calendar).tasks
+        .forEach(t => criticalPathInfo.set(t._id.toString(), t));
+    } catch (error) {
+      console.error('Could not calculate critical path for export:', error.message);
+    }
 
     const workbook = new ExcelJS.Workbook();
     // Sanitize the sheet name: remove invalid characters and truncate to 31 chars for Excel compatibility.
@@ -193,6 +350,11 @@ const exportSeasonToExcel = async (req, res) => {
       'End Date',
       'Actual Completion',
       'Date Spent',
+      'Delay Reason',
+      'Earliest Start',
+      'Latest Start',
+      'Total Float',
+      'Critical',
       'Attachment',
       'Remarks',
     ]);
@@ -214,16 +376,15 @@ const exportSeasonToExcel = async (req, res) => {
     });
     headerRow.height = 25;
 
-    // --- Task Data ---
-    const sortedTasks = snapshot.tasks.sort((a, b) => {
-      const orderA = a.order;
-      const orderB = b.order;
-      if (orderA.length < orderB.length) return -1;
-      if (orderA.length > orderB.length) return 1;
-      return orderA.localeCompare(orderB);
-    });
+    const thinBorder = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' },
+    };
 
-    sortedTasks.forEach(task => {
+    // --- Task Data ---
+    const addTaskRow = task => {
       let dateSpentFormatted = 'N/A';
       // Calculate difference against the planned end date, ignoring time of day.
       if (task.actualCompletion && task.computedDates.end) {
@@ -249,30 +410,79 @@ const exportSeasonToExcel = async (req, res) => {
         timelineReferenceText = `${start} - ${end}`;
       }
 
+      const pathInfo = criticalPathInfo.get(task._id.toString());
+
       const row = worksheet.addRow([
         task.order,
         task.name,
         timelineReferenceText,
         task.responsible.join(', '),
         task.leadTime,
-        task.precedingTasks.join(', '),
+        formatDependencies(task.precedingTasks, task.dependencyLinks),
         task.status,
         task.computedDates.start ? moment(task.computedDates.start).format('DD-MMM-YY') : 'N/A',
         task.computedDates.end ? moment(task.computedDates.end).format('DD-MMM-YY') : 'N/A',
         task.actualCompletion ? moment(task.actualCompletion).format('DD-MMM-YY') : 'N/A',
         dateSpentFormatted,
+        task.delay && task.delay.reasonName ? `${task.delay.reasonName}${task.delay.note ? `: ${task.delay.note}` : ''}` : '',
+        pathInfo ? moment(pathInfo.earliestStart).format('DD-MMM-YY') : 'N/A',
+        pathInfo ? moment(pathInfo.latestStart).format('DD-MMM-YY') : 'N/A',
+        pathInfo ? pathInfo.totalFloat : 'N/A',
+        pathInfo && pathInfo.isCritical ? 'Yes' : 'No',
         task.attachments && task.attachments.length > 0 ? 'Yes' : 'No',
         task.remarks || '',
       ]);
+      if (pathInfo && pathInfo.isCritical) {
+        row.getCell(16).font = { bold: true, color: { argb: 'FFFF0000' } };
+      }
+      if (task.isMilestone) {
+        row.getCell(2).font = { bold: true };
+      }
       row.eachCell({ includeEmpty: true }, (cell) => {
-        cell.border = {
-          top: { style: 'thin' },
-          left: { style: 'thin' },
-          bottom: { style: 'thin' },
-          right: { style: 'thin' },
-        };
+        cell.border = thinBorder;
       });
-    });
+    };
+
+    // Phase title row, then its tasks, then a subtotal row with the phase's lead time, progress and dates
+    const addPhaseRows = (phase, tasks) => {
+      const titleRow = worksheet.addRow([phase]);
+      worksheet.mergeCells(titleRow.number, 1, titleRow.number, 18);
+      titleRow.getCell(1).font = { bold: true, size: 12 };
+      titleRow.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDCE6F1' } };
+
+      tasks.forEach(addTaskRow);
+
+      const [progress] = getPhaseProgress(tasks);
+      const applicableTasks = tasks.filter(task => !(task.status === 'completed' && !task.actualCompletion));
+      const computedStarts = applicableTasks.map(task => task.computedDates.start).filter(Boolean);
+      const computedEnds = applicableTasks.map(task => task.computedDates.end).filter(Boolean);
+      const subtotalRow = worksheet.addRow([
+        '',
+        `${phase} Subtotal`,
+        '',
+        '',
+        applicableTasks.reduce((sum, task) => sum + task.leadTime, 0),
+        '',
+        `${progress.completedTasks}/${progress.totalTasks - progress.notApplicableTasks} done (${progress.percentComplete}%)`,
+        computedStarts.length > 0 ? moment.min(computedStarts.map(date => moment(date))).format('DD-MMM-YY') : 'N/A',
+        computedEnds.length > 0 ? moment.max(computedEnds.map(date => moment(date))).format('DD-MMM-YY') : 'N/A',
+        progress.actualFinish ? moment(progress.actualFinish).format('DD-MMM-YY') : 'N/A',
+      ]);
+      subtotalRow.font = { bold: true };
+      subtotalRow.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = thinBorder;
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF2F2F2' } };
+      });
+    };
+
+    // Tasks are listed in dependency order: every task comes after its preceding tasks.
+    // Seasons whose tasks have phases are grouped by phase, in process order.
+    const phaseGroups = groupTasksByPhase(sortByDependencyOrder(snapshot.tasks));
+    if (phaseGroups.some(group => group.phase !== UNASSIGNED_PHASE)) {
+      phaseGroups.forEach(group => addPhaseRows(group.phase, group.tasks));
+    } else {
+      phaseGroups.forEach(group => group.tasks.forEach(addTaskRow));
+    }
 
     // --- Column Widths ---
     worksheet.getColumn('A').width = 10;
@@ -286,8 +496,13 @@ const exportSeasonToExcel = async (req, res) => {
     worksheet.getColumn('I').width = 15; // End Date
     worksheet.getColumn('J').width = 20; // Actual Completion
     worksheet.getColumn('K').width = 15; // Date Spent
-    worksheet.getColumn('L').width = 15; // Attachment
-    worksheet.getColumn('M').width = 50; // Remarks
+    worksheet.getColumn('L').width = 30; // Delay Reason
+    worksheet.getColumn('M').width = 15; // Earliest Start
+    worksheet.getColumn('N').width = 15; // Latest Start
+    worksheet.getColumn('O').width = 12; // Total Float
+    worksheet.getColumn('P').width = 10; // Critical
+    worksheet.getColumn('Q').width = 15; // Attachment
+    worksheet.getColumn('R').width = 50; // Remarks
 
     // --- Send to Client ---
     res.setHeader(
@@ -310,5 +525,7 @@ const exportSeasonToExcel = async (req, res) => {
 
 module.exports = {
   updateSeasonStatus,
+  getSeasonCriticalPath,
+  previewSeasonTimeline,
   exportSeasonToExcel,
 };
@@ -0,0 +1,621 @@
+const moment = require('moment');
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const TaskTemplate = require('../models/TaskTemplate');
+const Department = require('../models/Department');
+const logActivity = require('../utils/logActivity');
+const { updateSeasonAttention, updateSeasonSchedule, validateTaskCompletion, progressSeason, closeSeasonIfCompleted, getActionableTasks } = require('../utils/taskProgression');
+const { loadCalendar } = require('../utils/workingCalendar');
+const { validateDependencyLinks, findCycle, formatDependencies, rewireDependents, sortByDependencyOrder } = require('../utils/dependencyGraph');
+const { PHASES } = require('../utils/seasonPhases');
+const { validateChecklist, buildChecklist, mergeChecklist } = require('../utils/checklist');
+const { pendingApprovalMessage, canApproveTask, markTaskApproved, markTaskRejected, notifySubmitterOfRejection } = require('../utils/taskApproval');
+const { recordTaskDelay, describeTaskDelay } = require('../utils/taskDelay');
+
+// Department codes allowed as responsible, kept in sync with the TaskTemplate schema
+const DEPARTMENT_CODES = TaskTemplate.schema.path('defaultResponsible').caster.enumValues;
+
+// Helper function to load an Open season and its snapshot for editing
+const loadEditableSeason = async (seasonId) => {
+  const season = await Season.findById(seasonId);
+  if (!season) {
+    const error = new Error('Season not found');
+    error.status = 404;
+    throw error;
+  }
+  if (season.status !== 'Open') {
+    const error = new Error(`Tasks cannot be edited. Season status is '${season.status}'.`);
+    error.status = 403;
+    throw error;
+  }
+
+  const snapshot = await SeasonSnapshot.findOne({ seasonId });
+  if (!snapshot) {
+    const error = new Error('Season snapshot not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return { season, snapshot };
+};
+
+// Helper function to validate a proposed definition (lead time, responsible, phase, checklist, approver, dependencies)
+// of a snapshot task. Returns an error message or null if the definition is valid.
+const validateTaskDefinition = (snapshot, order, { leadTime, responsible, phase, checklist, approverDepartment, precedingTasks, dependencyLinks }) => {
+  if (leadTime !== undefined && (!Number.isInteger(leadTime) || leadTime < 1)) {
+    return 'Lead time must be a whole number of days (1 or more).';
+  }
+
+  if (checklist !== undefined) {
+    const checklistError = validateChecklist(checklist);
+    if (checklistError) return checklistError;
+  }
+
+  if (phase && !PHASES.includes(phase)) {
+    return `Invalid phase '${phase}'. Allowed: ${PHASES.join(', ')}.`;
+  }
+
+  if (approverDepartment && !DEPARTMENT_CODES.includes(approverDepartment)) {
+    return `Invalid approver department '${approverDepartment}'. Allowed: ${DEPARTMENT_CODES.join(', ')}.`;
+  }
+
+  if (responsible !== undefined) {
+    if (!Array.isArray(responsible) || responsible.length === 0) {
+      return 'At least one responsible department is required.';
+    }
+    const invalidDepartments = responsible.filter(dept => !DEPARTMENT_CODES.includes(dept));
+    if (invalidDepartments.length > 0) {
+      return `Invalid responsible department(s): ${invalidDepartments.join(', ')}`;
+    }
+  }
+
+  if (precedingTasks !== undefined) {
+    if (!Array.isArray(precedingTasks)) {
+      return 'Preceding tasks must be an array of order codes.';
+    }
+    if (precedingTasks.includes(order)) {
+      return 'A task cannot precede itself.';
+    }
+    const snapshotOrders = new Set(snapshot.tasks.map(t => t.order));
+    const notFoundOrders = precedingTasks.filter(predOrder => !snapshotOrders.has(predOrder));
+    if (notFoundOrders.length > 0) {
+      return `Invalid preceding task(s): The following order codes do not exist in this season: ${notFoundOrders.join(', ')}`;
+    }
+
+    // Circular dependency check against the snapshot with the proposed change applied
+    const cyclePath = findCycle([
+      ...snapshot.tasks.filter(t => t.order !== order).map(t => ({ order: t.order, precedingTasks: t.precedingTasks })),
+      { order, precedingTasks }
+    ]);
+    if (cyclePath) {
+      return `Circular dependency detected in preceding tasks: ${cyclePath.join(' → ')}.`;
+    }
+  }
+
+  if (dependencyLinks !== undefined) {
+    const linkErrors = validateDependencyLinks(dependencyLinks, precedingTasks);
+    if (linkErrors.length > 0) {
+      return `Invalid dependency link(s): ${linkErrors.join(' ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Helper function to describe dependencies for activity logs, e.g. "A, B (SS+2)"
+const describeDependencies = (precedingTasks, dependencyLinks) => formatDependencies(precedingTasks, dependencyLinks) || 'none';
+
+// Helper function to recalculate the schedule and attention, save, and build the standard response
+const saveAndRespond = async (req, res, season, snapshot, message, statusCode = 200) => {
+  const calendar = await loadCalendar();
+  updateSeasonSchedule(season, snapshot.tasks, calendar);
+  await updateSeasonAttention(season, snapshot.tasks);
+
+  await snapshot.save();
+  await season.save();
+
+  // Skipping or removing the last open task completes the season, as in progressSeason
+  await closeSeasonIfCompleted(season, snapshot.tasks, req.user.id);
+
+  await respondWithSeason(res, season, snapshot, message, statusCode);
+};
+
+// Helper function to send the standard response: the populated season and its tasks in dependency order
+const respondWithSeason = async (res, season, snapshot, message, statusCode = 200) => {
+  const updatedSeason = await Season.findById(season._id)
+    .populate('buyer', 'name')
+    .populate('createdBy', 'firstName lastName email');
+
+  res.status(statusCode).json({
+    message,
+    season: updatedSeason.toObject({ virtuals: true }),
+    tasks: sortByDependencyOrder(snapshot.tasks)
+  });
+};
+
+// Helper function to load a task waiting for approval and check that the user may decide on it
+const loadTaskForApproval = async (req) => {
+  const { season, snapshot } = await loadEditableSeason(req.params.seasonId);
+
+  const task = snapshot.tasks.find(t => String(t._id) === req.params.taskId);
+  if (!task) {
+    const error = new Error('Task not found in snapshot');
+    error.status = 404;
+    throw error;
+  }
+  if (task.status !== 'pending_approval') {
+    const error = new Error(`Task "${task.name}" has no completion waiting for approval.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const userDeptDoc = await Department.findById(req.user.department);
+  if (!canApproveTask(req.user, userDeptDoc ? userDeptDoc.name : null, task)) {
+    const error = new Error(`Only planners${task.approverDepartment ? ` or the ${task.approverDepartment} department` : ''} can approve or reject this task's completion.`);
+    error.status = 403;
+    throw error;
+  }
+
+  return { season, snapshot, task };
+};
+
+// Helper function to send errors thrown with a status, or a generic server error
+const handleError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+/**
+ * @route   PUT /api/seasons/:seasonId/tasks/:taskId/definition
+ * @desc    Edit a snapshot task's lead time, responsible departments, phase, milestone flag, checklist, approval
+ *          settings or dependencies for this season only. Checklist items that are kept keep their ticks.
+ * @access  Planner or Admin
+ */
+const updateSnapshotTaskDefinition = async (req, res) => {
+  const { seasonId, taskId } = req.params;
+
+  try {
+    const { season, snapshot } = await loadEditableSeason(seasonId);
+
+    const task = snapshot.tasks.find(t => String(t._id) === taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in snapshot' });
+    }
+
+    const { leadTime, responsible, isMilestone, checklistRequired, requiresApproval } = req.body;
+    const phase = req.body.hasOwnProperty('phase') ? (req.body.phase || null) : undefined;
+    const approverDepartment = req.body.hasOwnProperty('approverDepartment') ? (req.body.approverDepartment || null) : undefined;
+    const checklist = req.body.hasOwnProperty('checklist') ? (req.body.checklist || []) : undefined;
+    const precedingTasks = req.body.hasOwnProperty('precedingTasks') ? (req.body.precedingTasks || []) : undefined;
+    const effectivePrecedingTasks = precedingTasks !== undefined ? precedingTasks : [...task.precedingTasks];
+    // Links to removed predecessors are dropped unless new links are supplied
+    const dependencyLinks = req.body.hasOwnProperty('dependencyLinks')
+      ? (req.body.dependencyLinks || [])
+      : (task.dependencyLinks || []).filter(link => effectivePrecedingTasks.includes(link.order)).map(link => link.toObject ? link.toObject() : link);
+
+    const validationError = validateTaskDefinition(snapshot, task.order, {
+      leadTime,
+      responsible,
+      phase,
+      checklist,
+      approverDepartment,
+      precedingTasks: effectivePrecedingTasks,
+      dependencyLinks
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const changes = [];
+    if (leadTime !== undefined && leadTime !== task.leadTime) {
+      changes.push(`lead time from ${task.leadTime} to ${leadTime} day(s)`);
+      task.leadTime = leadTime;
+    }
+    if (responsible !== undefined && [...task.responsible].join(',') !== responsible.join(',')) {
+      changes.push(`responsible from "${task.responsible.join(', ') || 'none'}" to "${responsible.join(', ')}"`);
+      task.responsible = responsible;
+    }
+    if (phase !== undefined && phase !== (task.phase || null)) {
+      changes.push(`phase from "${task.phase || 'none'}" to "${phase || 'none'}"`);
+      task.phase = phase;
+    }
+    if (typeof isMilestone === 'boolean' && isMilestone !== !!task.isMilestone) {
+      changes.push(isMilestone ? 'marked as milestone' : 'no longer a milestone');
+      task.isMilestone = isMilestone;
+    }
+    const oldChecklist = (task.checklist || []).map(item => item.label).join('; ');
+    if (checklist !== undefined && oldChecklist !== checklist.map(label => label.trim()).join('; ')) {
+      changes.push(`checklist from "${oldChecklist || 'none'}" to "${checklist.join('; ') || 'none'}"`);
+      task.checklist = mergeChecklist(task.checklist, checklist);
+    }
+    if (typeof checklistRequired === 'boolean' && checklistRequired !== !!task.checklistRequired) {
+      changes.push(checklistRequired ? 'checklist required before completion' : 'checklist no longer required before completion');
+      task.checklistRequired = checklistRequired;
+    }
+    if (typeof requiresApproval === 'boolean' && requiresApproval !== !!task.requiresApproval) {
+      changes.push(requiresApproval ? 'completion requires approval' : 'completion no longer requires approval');
+      task.requiresApproval = requiresApproval;
+    }
+    if (approverDepartment !== undefined && approverDepartment !== (task.approverDepartment || null)) {
+      changes.push(`approver department from "${task.approverDepartment || 'planners'}" to "${approverDepartment || 'planners'}"`);
+      task.approverDepartment = approverDepartment;
+    }
+    const oldDependencies = describeDependencies(task.precedingTasks, task.dependencyLinks);
+    const newDependencies = describeDependencies(effectivePrecedingTasks, dependencyLinks);
+    if (oldDependencies !== newDependencies) {
+      changes.push(`preceding tasks from "${oldDependencies}" to "${newDependencies}"`);
+      task.precedingTasks = effectivePrecedingTasks;
+      task.dependencyLinks = dependencyLinks;
+    }
+
+    if (changes.length === 0) {
+      return res.status(200).json({ message: 'No changes detected in task.' });
+    }
+
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'UPDATE_TASK',
+      details: `Task "${task.name}" updated for this season: ${changes.join('; ')}.`
+    });
+
+    await saveAndRespond(req, res, season, snapshot, 'Task definition updated successfully');
+  } catch (error) {
+    console.error(`Error updating task definition ${taskId} in season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while updating task definition.');
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:seasonId/tasks/custom
+ * @desc    Add an ad-hoc task (not from a template) to a season's snapshot
+ * @access  Planner or Admin
+ */
+const addCustomSnapshotTask = async (req, res) => {
+  const { seasonId } = req.params;
+  const { order, name, responsible, leadTime, remarks, phase, isMilestone, checklistRequired, requiresApproval, approverDepartment } = req.body;
+  const checklist = req.body.checklist || [];
+  const precedingTasks = req.body.precedingTasks || [];
+  const dependencyLinks = req.body.dependencyLinks || [];
+  // Existing tasks that should wait for the new task, e.g. shipment after a third-party lab test
+  const successorTasks = req.body.successorTasks || [];
+
+  if (!order || !name || !responsible || leadTime === undefined) {
+    return res.status(400).json({ message: 'Missing required fields: order, name, responsible, leadTime' });
+  }
+  if (!/^[A-Z]+$/.test(order)) {
+    return res.status(400).json({ message: 'Order code must contain only uppercase letters (e.g. A, B, AA).' });
+  }
+
+  try {
+    const { season, snapshot } = await loadEditableSeason(seasonId);
+
+    if (snapshot.tasks.some(t => t.order === order)) {
+      return res.status(400).json({ message: `A task with order code '${order}' already exists in this season.` });
+    }
+
+    const validationError = validateTaskDefinition(snapshot, order, { leadTime, responsible, phase, checklist, approverDepartment, precedingTasks, dependencyLinks });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (!Array.isArray(successorTasks)) {
+      return res.status(400).json({ message: 'Successor tasks must be an array of order codes.' });
+    }
+    const successors = successorTasks.map(succOrder => snapshot.tasks.find(t => t.order === succOrder));
+    const notFoundSuccessors = successorTasks.filter((succOrder, index) => !successors[index]);
+    if (notFoundSuccessors.length > 0) {
+      return res.status(400).json({ message: `Invalid successor task(s): The following order codes do not exist in this season: ${notFoundSuccessors.join(', ')}` });
+    }
+    const completedSuccessors = successors.filter(t => t.status === 'completed');
+    if (completedSuccessors.length > 0) {
+      return res.status(400).json({ message: `Cannot insert before completed task(s): ${completedSuccessors.map(t => t.order).join(', ')}` });
+    }
+    const awaitingSuccessors = successors.filter(t => t.status === 'pending_approval');
+    if (awaitingSuccessors.length > 0) {
+      return res.status(400).json({ message: `Task(s) ${awaitingSuccessors.map(t => t.order).join(', ')}: ${pendingApprovalMessage('inserting a task before it')}` });
+    }
+
+    // Circular dependency check with the new task and its successor links in place
+    const successorOrders = new Set(successorTasks);
+    const cyclePath = findCycle([
+      ...snapshot.tasks.map(t => ({
+        order: t.order,
+        precedingTasks: successorOrders.has(t.order) ? [...t.precedingTasks, order] : t.precedingTasks
+      })),
+      { order, precedingTasks }
+    ]);
+    if (cyclePath) {
+      return res.status(400).json({ message: `Circular dependency detected: the new task cannot both precede and follow the same tasks (${cyclePath.join(' → ')}).`, cyclePath });
+    }
+
+    snapshot.tasks.push({
+      order,
+      name,
+      responsible,
+      precedingTasks,
+      dependencyLinks,
+      leadTime,
+      remarks,
+      phase: phase || null,
+      isMilestone: isMilestone === true,
+      checklist: buildChecklist(checklist),
+      checklistRequired: checklistRequired === true,
+      requiresApproval: requiresApproval === true,
+      approverDepartment: approverDepartment || null,
+      sourceTemplateActiveOnCreation: true,
+      isCustom: true,
+      status: 'pending',
+      computedDates: { start: null, end: null }
+    });
+    successors.forEach(succ => {
+      succ.precedingTasks.push(order);
+    });
+
+    const newTask = snapshot.tasks.find(t => t.order === order);
+    const successorText = successors.length > 0 ? ` Now precedes: ${successors.map(t => t.order).join(', ')}.` : '';
+    await logActivity({
+      user: req.user,
+      task: newTask,
+      seasonId: season._id,
+      action: 'CREATE_TASK',
+      details: `Custom task "${name}" added: responsible "${responsible.join(', ')}", lead time ${leadTime} day(s), preceding tasks "${describeDependencies(precedingTasks, dependencyLinks)}".${successorText}`
+    });
+
+    await saveAndRespond(req, res, season, snapshot, 'Custom task added successfully', 201);
+  } catch (error) {
+    console.error(`Error adding custom task to season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while adding custom task.');
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:seasonId/tasks/:taskId/remove
+ * @desc    Remove a task from a season's snapshot; its dependents inherit its preceding tasks
+ * @access  Planner or Admin
+ */
+const removeSnapshotTask = async (req, res) => {
+  const { seasonId, taskId } = req.params;
+
+  try {
+    const { season, snapshot } = await loadEditableSeason(seasonId);
+
+    const task = snapshot.tasks.find(t => String(t._id) === taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in snapshot' });
+    }
+    if (task.actualCompletion) {
+      return res.status(400).json({ message: 'Completed tasks cannot be removed.' });
+    }
+    if (task.status === 'pending_approval') {
+      return res.status(400).json({ message: pendingApprovalMessage('removing the task') });
+    }
+    if (task.attachments && task.attachments.length > 0) {
+      return res.status(400).json({ message: 'Tasks with attachments cannot be removed. Skip the task instead.' });
+    }
+
+    // Re-wire dependents: replace the removed task with its own predecessors (and their links)
+    const rewiredTasks = rewireDependents(snapshot.tasks, task);
+
+    snapshot.tasks.pull(task._id);
+
+    const rewiredText = rewiredTasks.length > 0
+      ? ` Dependents ${rewiredTasks.join(', ')} now follow "${describeDependencies(task.precedingTasks, task.dependencyLinks)}".`
+      : '';
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'DELETE_TASK',
+      details: `Task "${task.name}" removed from this season.${rewiredText}`
+    });
+
+    await saveAndRespond(req, res, season, snapshot, 'Task removed successfully');
+  } catch (error) {
+    console.error(`Error removing task ${taskId} from season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while removing task.');
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:seasonId/tasks/:taskId/skip
+ * @desc    Skip a task for this season: it is marked completed without a completion date and takes no time
+ * @access  Planner or Admin
+ */
+const skipSnapshotTask = async (req, res) => {
+  const { seasonId, taskId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const { season, snapshot } = await loadEditableSeason(seasonId);
+
+    const task = snapshot.tasks.find(t => String(t._id) === taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in snapshot' });
+    }
+    if (task.status === 'completed') {
+      return res.status(400).json({ message: 'This task is already completed and cannot be skipped.' });
+    }
+    if (task.status === 'pending_approval') {
+      return res.status(400).json({ message: pendingApprovalMessage('skipping the task') });
+    }
+
+    task.status = 'completed';
+    task.skipped = true;
+
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'SKIP_TASK',
+      details: `Task "${task.name}" skipped for this season${reason ? `: ${reason}` : '.'}`
+    });
+
+    await saveAndRespond(req, res, season, snapshot, 'Task skipped successfully');
+  } catch (error) {
+    console.error(`Error skipping task ${taskId} in season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while skipping task.');
+  }
+};
+
+/**
+ * @route   PUT /api/seasons/:seasonId/tasks/:taskId/checklist/:itemId
+ * @desc    Tick or untick a checklist item of a snapshot task (body: { isChecked })
+ * @access  Planner, Admin, or responsible User
+ */
+const updateChecklistItem = async (req, res) => {
+  const { seasonId, taskId, itemId } = req.params;
+  const { isChecked } = req.body;
+
+  if (typeof isChecked !== 'boolean') {
+    return res.status(400).json({ message: 'isChecked must be true or false.' });
+  }
+
+  try {
+    const { season, snapshot } = await loadEditableSeason(seasonId);
+
+    const task = snapshot.tasks.find(t => String(t._id) === taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in snapshot' });
+    }
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found.' });
+    }
+
+    // Authorization check (same as the task update)
+    const userDeptDoc = await Department.findById(req.user.department);
+    const userDepartmentName = userDeptDoc ? userDeptDoc.name : null;
+    const isPlannerOrAdmin = req.user.role === 'Planner' || req.user.role === 'Admin';
+    if (!isPlannerOrAdmin && !task.responsible.includes(userDepartmentName)) {
+      return res.status(403).json({ message: 'User not authorized to update this task' });
+    }
+    if (task.status === 'completed' && !isPlannerOrAdmin) {
+      return res.status(403).json({ message: 'This task is already completed and cannot be changed.' });
+    }
+
+    if (item.isChecked === isChecked) {
+      return res.status(200).json({ message: 'No changes detected in checklist.', task });
+    }
+
+    item.isChecked = isChecked;
+    item.checkedBy = isChecked ? req.user._id : null;
+    item.checkedAt = isChecked ? new Date() : null;
+    await snapshot.save();
+
+    const checkedCount = task.checklist.filter(i => i.isChecked).length;
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'UPDATE_CHECKLIST',
+      details: `Checklist item "${item.label}" of task "${task.name}" ${isChecked ? 'ticked' : 'unticked'} (${checkedCount}/${task.checklist.length} done).`
+    });
+
+    res.json({ message: 'Checklist updated successfully', task });
+  } catch (error) {
+    console.error(`Error updating checklist item ${itemId} of task ${taskId} in season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while updating checklist.');
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:seasonId/tasks/:taskId/approve
+ * @desc    Approve a submitted completion: the task is completed on the submitted date and the season progresses.
+ *          Body: { delayReason?, delayNote? } to give or change the delay reason of a late completion
+ * @access  Planner, Admin, or the task's approver department
+ */
+const approveTaskCompletion = async (req, res) => {
+  const { seasonId, taskId } = req.params;
+
+  try {
+    const { season, snapshot, task } = await loadTaskForApproval(req);
+
+    // Predecessors or the checklist may have changed since the submission
+    validateTaskCompletion(task, snapshot.tasks);
+    // The planned end date may also have moved; the approver can give or change the delay reason
+    const delay = await recordTaskDelay(task, req.user._id, task.approval.proposedCompletion, req.body);
+    if (delay && req.body.delayReason) {
+      await logActivity({
+        user: req.user,
+        task,
+        seasonId: season._id,
+        action: 'RECORD_DELAY',
+        details: describeTaskDelay(task, delay)
+      });
+    }
+
+    const actionableBeforeUpdate = new Set(getActionableTasks(snapshot.tasks).map(t => String(t._id)));
+    markTaskApproved(task, req.user._id);
+    task.actualCompletion = task.approval.proposedCompletion;
+    task.status = 'completed';
+
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'APPROVE_COMPLETION',
+      details: `Completion of task "${task.name}" on ${moment(task.actualCompletion).format('DD-MMM-YY')} approved.`
+    });
+
+    // Runs the schedule, notifications and auto-close like a direct completion, and saves
+    await progressSeason(req.user._id, snapshot, actionableBeforeUpdate);
+    await respondWithSeason(res, season, snapshot, 'Task completion approved');
+  } catch (error) {
+    console.error(`Error approving task ${taskId} in season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while approving task completion.');
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:seasonId/tasks/:taskId/reject
+ * @desc    Reject a submitted completion with a reason; the task goes back to pending
+ * @access  Planner, Admin, or the task's approver department
+ */
+const rejectTaskCompletion = async (req, res) => {
+  const { seasonId, taskId } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason) {
+    return res.status(400).json({ message: 'A reason is required to reject a completion.' });
+  }
+
+  try {
+    const { season, snapshot, task } = await loadTaskForApproval(req);
+
+    markTaskRejected(task, req.user._id, reason);
+
+    await logActivity({
+      user: req.user,
+      task,
+      seasonId: season._id,
+      action: 'REJECT_COMPLETION',
+      details: `Completion of task "${task.name}" rejected: ${reason}`
+    });
+
+    await saveAndRespond(req, res, season, snapshot, 'Task completion rejected');
+    await notifySubmitterOfRejection(season, task);
+  } catch (error) {
+    console.error(`Error rejecting task ${taskId} in season ${seasonId}:`, error);
+    handleError(res, error, 'Server error while rejecting task completion.');
+  }
+};
+
+module.exports = {
+  updateSnapshotTaskDefinition,
+  addCustomSnapshotTask,
+  removeSnapshotTask,
+  skipSnapshotTask,
+  updateChecklistItem,
+  approveTaskCompletion,
+  rejectTaskCompletion,
+};
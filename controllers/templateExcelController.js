@@ -0,0 +1,382 @@
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const { formatDependencies, parseDependencies, compareOrderCodes, topologicalSort } = require('../utils/dependencyGraph');
+const { recordTemplateRevision, withTemplateSetChange } = require('../utils/templateHistory');
+const { validateRule } = require('../utils/ruleExpression');
+const { validateChecklist } = require('../utils/checklist');
+
+// Department codes allowed as responsible, kept in sync with the TaskTemplate schema
+const DEPARTMENT_CODES = TaskTemplate.schema.path('defaultResponsible').caster.enumValues;
+const PHASES = TaskTemplate.schema.path('phase').enumValues;
+
+// Column layout shared by the export and the import, so an exported file can be imported again
+const TEMPLATE_COLUMNS = [
+  { header: 'Order', key: 'order', width: 10 },
+  { header: 'Task Name', key: 'name', width: 40 },
+  { header: 'Responsible Dept.', key: 'responsible', width: 25 },
+  { header: 'Preceding Tasks', key: 'precedingTasks', width: 25 },
+  { header: 'Lead Time', key: 'leadTime', width: 12 },
+  { header: 'Active', key: 'active', width: 10 },
+  { header: 'Applies When', key: 'applicabilityRule', width: 40 },
+  { header: 'If Not Applicable', key: 'inapplicableBehavior', width: 18 },
+  { header: 'Phase', key: 'phase', width: 15 },
+  { header: 'Milestone', key: 'milestone', width: 12 },
+  { header: 'Checklist', key: 'checklist', width: 40 },
+  { header: 'Checklist Required', key: 'checklistRequired', width: 18 },
+  { header: 'Requires Approval', key: 'requiresApproval', width: 18 },
+  { header: 'Approver Dept.', key: 'approverDepartment', width: 16 },
+];
+
+// Reads the template rows of an uploaded sheet; the header row is located by its 'Order' cell
+function readTemplateRows(worksheet) {
+  let headerRowNumber = null;
+  worksheet.eachRow((row, rowNumber) => {
+    if (headerRowNumber === null && row.getCell(1).text.trim().toLowerCase() === 'order') {
+      headerRowNumber = rowNumber;
+    }
+  });
+  if (headerRowNumber === null) {
+    const error = new Error(`The sheet has no header row. Expected columns: ${TEMPLATE_COLUMNS.map(c => c.header).join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRowNumber) return;
+    const values = TEMPLATE_COLUMNS.map((column, index) => row.getCell(index + 1).text.trim());
+    if (values.every(value => value === '')) return; // Ignore blank rows
+    const [order, name, responsible, precedingTasks, leadTime, active, applicabilityRule, inapplicableBehavior, phase, milestone, checklist, checklistRequired, requiresApproval, approverDepartment] = values;
+    rows.push({
+      rowNumber,
+      order: order.toUpperCase(),
+      name,
+      responsible,
+      precedingTasks: precedingTasks.toUpperCase(),
+      leadTime,
+      active,
+      applicabilityRule,
+      inapplicableBehavior,
+      phase,
+      milestone,
+      checklist,
+      checklistRequired,
+      requiresApproval,
+      approverDepartment
+    });
+  });
+  return rows;
+}
+
+// Validates every row of the sheet against the rest of the sheet (and the templates that are kept)
+function validateTemplateRows(rows, keptTemplates) {
+  const rowErrors = [];
+  const sheetErrors = [];
+  const templates = [];
+  const rowsByOrder = new Map();
+
+  rows.forEach(row => {
+    if (/^[A-Z]+$/.test(row.order)) {
+      rowsByOrder.set(row.order, (rowsByOrder.get(row.order) || 0) + 1);
+    }
+  });
+  const knownOrders = new Set([...rowsByOrder.keys(), ...keptTemplates.map(t => t.order)]);
+
+  rows.forEach(row => {
+    const errors = [];
+
+    if (!row.order) {
+      errors.push('Order is required.');
+    } else if (!/^[A-Z]+$/.test(row.order)) {
+      errors.push(`Order '${row.order}' must be one or more letters (A, B, ..., AA, AB, ...).`);
+    } else if (rowsByOrder.get(row.order) > 1) {
+      errors.push(`Order '${row.order}' appears more than once in the sheet.`);
+    }
+
+    if (!row.name) errors.push('Task name is required.');
+
+    const responsible = row.responsible.split(',').map(code => code.trim()).filter(Boolean);
+    if (responsible.length === 0) {
+      errors.push('At least one responsible department is required.');
+    }
+    const unknownDepartments = responsible.filter(code => !DEPARTMENT_CODES.includes(code));
+    if (unknownDepartments.length > 0) {
+      errors.push(`Unknown department code(s): ${unknownDepartments.join(', ')}. Allowed: ${DEPARTMENT_CODES.join(', ')}.`);
+    }
+
+    const { precedingTasks, dependencyLinks, errors: dependencyErrors } = parseDependencies(row.precedingTasks);
+    errors.push(...dependencyErrors);
+    if (precedingTasks.includes(row.order)) {
+      errors.push('A task cannot precede itself.');
+    }
+    const unknownPredecessors = precedingTasks.filter(order => order !== row.order && !knownOrders.has(order));
+    if (unknownPredecessors.length > 0) {
+      errors.push(`Unknown preceding task(s): ${unknownPredecessors.join(', ')}.`);
+    }
+
+    const leadTime = Number(row.leadTime);
+    if (!Number.isInteger(leadTime) || leadTime < 1) {
+      errors.push(`Lead time '${row.leadTime}' must be a whole number of days (1 or more).`);
+    }
+
+    const active = row.active.toLowerCase();
+    if (!['', 'yes', 'no', 'true', 'false', 'y', 'n'].includes(active)) {
+      errors.push(`Active '${row.active}' must be Yes or No.`);
+    }
+
+    const ruleError = validateRule(row.applicabilityRule);
+    if (ruleError) errors.push(ruleError);
+    const inapplicableBehavior = row.inapplicableBehavior.toLowerCase() || 'complete';
+    if (!['complete', 'exclude'].includes(inapplicableBehavior)) {
+      errors.push(`If Not Applicable '${row.inapplicableBehavior}' must be Complete or Exclude.`);
+    }
+
+    const phase = PHASES.find(p => p.toLowerCase() === row.phase.toLowerCase()) || null;
+    if (row.phase && !phase) {
+      errors.push(`Phase '${row.phase}' must be one of: ${PHASES.join(', ')}.`);
+    }
+    const milestone = row.milestone.toLowerCase();
+    if (!['', 'yes', 'no', 'true', 'false', 'y', 'n'].includes(milestone)) {
+      errors.push(`Milestone '${row.milestone}' must be Yes or No.`);
+    }
+
+    // Checklist items are separated by semicolons
+    const checklist = row.checklist.split(';').map(label => label.trim()).filter(Boolean);
+    const checklistError = validateChecklist(checklist);
+    if (checklistError) errors.push(checklistError);
+    const checklistRequired = row.checklistRequired.toLowerCase();
+    if (!['', 'yes', 'no', 'true', 'false', 'y', 'n'].includes(checklistRequired)) {
+      errors.push(`Checklist Required '${row.checklistRequired}' must be Yes or No.`);
+    }
+    const requiresApproval = row.requiresApproval.toLowerCase();
+    if (!['', 'yes', 'no', 'true', 'false', 'y', 'n'].includes(requiresApproval)) {
+      errors.push(`Requires Approval '${row.requiresApproval}' must be Yes or No.`);
+    }
+    if (row.approverDepartment && !DEPARTMENT_CODES.includes(row.approverDepartment)) {
+      errors.push(`Unknown approver department '${row.approverDepartment}'. Allowed: ${DEPARTMENT_CODES.join(', ')}.`);
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row: row.rowNumber, order: row.order || null, errors });
+      return;
+    }
+    templates.push({
+      order: row.order,
+      name: row.name,
+      defaultResponsible: responsible,
+      defaultPrecedingTasks: precedingTasks,
+      defaultDependencyLinks: dependencyLinks,
+      defaultLeadTime: leadTime,
+      isActive: !['no', 'false', 'n'].includes(active),
+      applicabilityRule: row.applicabilityRule,
+      inapplicableBehavior,
+      phase,
+      isMilestone: ['yes', 'true', 'y'].includes(milestone),
+      defaultChecklist: checklist,
+      checklistRequired: ['yes', 'true', 'y'].includes(checklistRequired),
+      requiresApproval: ['yes', 'true', 'y'].includes(requiresApproval),
+      approverDepartment: row.approverDepartment || null
+    });
+  });
+
+  if (rows.length === 0) {
+    sheetErrors.push('The sheet contains no templates.');
+  }
+
+  // Cycles can only be checked once every row is valid on its own
+  if (rowErrors.length === 0 && templates.length > 0) {
+    try {
+      topologicalSort([...templates, ...keptTemplates].map(t => ({ order: t.order, precedingTasks: t.defaultPrecedingTasks })));
+    } catch (error) {
+      sheetErrors.push(error.message);
+    }
+  }
+
+  return { templates, rowErrors, sheetErrors };
+}
+
+/**
+ * @route   GET /api/task-templates/export
+ * @desc    Export all templates of a template set to Excel
+ * @access  Authenticated Users
+ */
+const exportTemplatesToExcel = async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.resolve(req.query.templateSetId);
+    await TemplateSet.assertNotChanging(templateSet._id);
+    const templates = await TaskTemplate.find({ templateSet: templateSet._id });
+    templates.sort((a, b) => compareOrderCodes(a.order, b.order));
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(templateSet.name.replace(/[*?:\\/\[\]]/g, '_').substring(0, 31));
+    worksheet.columns = TEMPLATE_COLUMNS;
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    worksheet.getRow(1).eachCell((cell) => {
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FF4F81BD' },
+      };
+      cell.alignment = { vertical: 'middle', horizontal: 'center' };
+    });
+
+    templates.forEach(template => {
+      const row = worksheet.addRow({
+        order: template.order,
+        name: template.name,
+        responsible: template.defaultResponsible.join(', '),
+        precedingTasks: formatDependencies(template.defaultPrecedingTasks, template.defaultDependencyLinks),
+        leadTime: template.defaultLeadTime,
+        active: template.isActive ? 'Yes' : 'No',
+        applicabilityRule: template.applicabilityRule || '',
+        inapplicableBehavior: template.inapplicableBehavior === 'exclude' ? 'Exclude' : 'Complete',
+        phase: template.phase || '',
+        milestone: template.isMilestone ? 'Yes' : 'No',
+        checklist: (template.defaultChecklist || []).join('; '),
+        checklistRequired: template.checklistRequired ? 'Yes' : 'No',
+        requiresApproval: template.requiresApproval ? 'Yes' : 'No',
+        approverDepartment: template.approverDepartment || '',
+      });
+      if (!template.isActive) {
+        row.font = { color: { argb: 'FF808080' } };
+      }
+    });
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="Task_Templates_${templateSet.name.replace(/\s+/g, '_')}_${moment().format('YYYYMMDD')}.xlsx"`
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Failed to export task templates to Excel:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while exporting task templates.' });
+  }
+};
+
+/**
+ * @route   POST /api/task-templates/import
+ * @desc    Import templates from an Excel sheet (multipart field 'file'). Rows are matched to existing
+ *          templates by order code. The whole sheet is validated first and applied atomically (completely or
+ *          not at all); templates missing from the sheet are kept
+ *          unless removeMissing=true. dryRun=true only validates.
+ * @access  Admin
+ */
+const importTemplatesFromExcel = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'No file uploaded.' });
+  }
+  const removeMissing = String(req.body.removeMissing || req.query.removeMissing) === 'true';
+  const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+
+  try {
+    const templateSet = await TemplateSet.resolve(req.body.templateSetId || req.query.templateSetId);
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: 'The uploaded file is not a valid Excel (.xlsx) workbook.' });
+    }
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return res.status(400).json({ message: 'The workbook has no worksheets.' });
+    }
+
+    const rows = readTemplateRows(worksheet);
+    const existingTemplates = await TaskTemplate.find({ templateSet: templateSet._id });
+    const sheetOrders = new Set(rows.map(row => row.order));
+    const missingTemplates = existingTemplates.filter(t => !sheetOrders.has(t.order));
+    const keptTemplates = removeMissing ? [] : missingTemplates;
+
+    const { templates, rowErrors, sheetErrors } = validateTemplateRows(rows, keptTemplates);
+    if (rowErrors.length > 0 || sheetErrors.length > 0) {
+      return res.status(400).json({
+        message: `The sheet has ${rowErrors.length} invalid row(s)${sheetErrors.length > 0 ? ` and ${sheetErrors.length} other error(s)` : ''}. No changes were made.`,
+        rowErrors,
+        sheetErrors
+      });
+    }
+
+    const existingByOrder = new Map(existingTemplates.map(t => [t.order, t]));
+    const created = [];
+    const updated = [];
+    templates.forEach(template => {
+      const existing = existingByOrder.get(template.order);
+      if (!existing) {
+        created.push(template.order);
+      } else if (
+        existing.name !== template.name ||
+        existing.defaultResponsible.join(', ') !== template.defaultResponsible.join(', ') ||
+        formatDependencies(existing.defaultPrecedingTasks, existing.defaultDependencyLinks) !== formatDependencies(template.defaultPrecedingTasks, template.defaultDependencyLinks) ||
+        existing.defaultLeadTime !== template.defaultLeadTime ||
+        existing.isActive !== template.isActive ||
+        (existing.applicabilityRule || '') !== template.applicabilityRule ||
+        (existing.inapplicableBehavior || 'complete') !== template.inapplicableBehavior ||
+        (existing.phase || null) !== template.phase ||
+        !!existing.isMilestone !== template.isMilestone ||
+        (existing.defaultChecklist || []).join('; ') !== template.defaultChecklist.join('; ') ||
+        !!existing.checklistRequired !== template.checklistRequired ||
+        !!existing.requiresApproval !== template.requiresApproval ||
+        (existing.approverDepartment || null) !== template.approverDepartment
+      ) {
+        updated.push(template.order);
+      }
+    });
+    const removed = removeMissing ? missingTemplates.map(t => t.order) : [];
+    const summary = { created, updated, removed, unchanged: templates.length - created.length - updated.length };
+
+    if (dryRun || created.length + updated.length + removed.length === 0) {
+      return res.json({ message: dryRun ? 'The sheet is valid. No changes were made (dry run).' : 'The templates already match the sheet.', ...summary });
+    }
+
+    // Applied all or nothing, so other requests never see a half-imported set
+    await withTemplateSetChange(templateSet._id, async (session) => {
+      for (const template of templates) {
+        if (created.includes(template.order)) {
+          await TaskTemplate.create([{ ...template, templateSet: templateSet._id }], { session });
+        } else if (updated.includes(template.order)) {
+          await TaskTemplate.updateOne({ _id: existingByOrder.get(template.order)._id }, template, { session, runValidators: true });
+        }
+      }
+      if (removed.length > 0) {
+        await TaskTemplate.deleteMany({ templateSet: templateSet._id, order: { $in: removed } }, { session });
+      }
+    });
+
+    await recordTemplateRevision({
+      templateSetId: templateSet._id,
+      action: 'IMPORT',
+      summary: `Imported from '${req.file.originalname}': ${created.length} created, ${updated.length} updated, ${removed.length} removed.`,
+      user: req.user
+    });
+
+    res.json({ message: 'Templates imported successfully.', ...summary });
+  } catch (error) {
+    console.error('Failed to import task templates from Excel:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while importing task templates.' });
+  }
+};
+
+module.exports = {
+  exportTemplatesToExcel,
+  importTemplatesFromExcel,
+};
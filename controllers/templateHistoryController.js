@@ -0,0 +1,195 @@
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const TemplateRevision = require('../models/TemplateRevision');
+const { validateDependencyLinks, topologicalSort } = require('../utils/dependencyGraph');
+const { recordTemplateRevision, withTemplateSetChange, diffTemplateRevisions } = require('../utils/templateHistory');
+
+// Helper function to send errors thrown with a status, or a generic server error
+function handleError(res, error, context) {
+  console.error(`Error ${context}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Template revision not found.' });
+  }
+  res.status(500).json({ message: `Server error while ${context}.` });
+}
+
+// Validates that the templates of a revision form a consistent set that can be restored
+function validateRevisionTemplates(revision) {
+  const errors = [];
+  const orders = new Set();
+
+  revision.templates.forEach(template => {
+    if (orders.has(template.order)) {
+      errors.push(`Duplicate order code '${template.order}'.`);
+    }
+    orders.add(template.order);
+
+    const validationError = new TaskTemplate({ ...template.toObject(), templateSet: revision.templateSet }).validateSync();
+    if (validationError) {
+      errors.push(`${template.order}: ${validationError.message}`);
+    }
+  });
+
+  revision.templates.forEach(template => {
+    const missing = template.defaultPrecedingTasks.filter(predOrder => !orders.has(predOrder));
+    if (missing.length > 0) {
+      errors.push(`${template.order}: preceding task(s) ${missing.join(', ')} do not exist in this revision.`);
+    }
+    validateDependencyLinks(template.defaultDependencyLinks, template.defaultPrecedingTasks)
+      .forEach(message => errors.push(`${template.order}: ${message}`));
+  });
+
+  try {
+    topologicalSort(revision.templates.map(t => ({ order: t.order, precedingTasks: t.defaultPrecedingTasks })));
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return errors;
+}
+
+/**
+ * @route   GET /api/task-templates/history
+ * @desc    List the revisions of a template set (newest first) with the changes made in each
+ * @access  Planner or Admin
+ */
+const getTemplateHistory = async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.resolve(req.query.templateSetId);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    // One extra revision so the oldest listed revision can be compared with its predecessor
+    const revisions = await TemplateRevision.find({ templateSet: templateSet._id })
+      .sort({ revision: -1 })
+      .limit(limit + 1)
+      .populate('changedBy', 'firstName lastName email');
+
+    const history = revisions.slice(0, limit).map((revision, index) => {
+      const previous = revisions[index + 1];
+      return {
+        _id: revision._id,
+        revision: revision.revision,
+        action: revision.action,
+        summary: revision.summary,
+        changedBy: revision.changedBy,
+        createdAt: revision.createdAt,
+        templateCount: revision.templates.length,
+        changes: previous ? diffTemplateRevisions(previous.templates, revision.templates) : null
+      };
+    });
+
+    res.json({ templateSet: { _id: templateSet._id, name: templateSet.name }, revisions: history });
+  } catch (error) {
+    handleError(res, error, 'fetching template history');
+  }
+};
+
+/**
+ * @route   GET /api/task-templates/history/:revisionId
+ * @desc    Get a revision with its templates, compared with another revision
+ *          (?compareTo=<revisionId> or ?compareTo=current; defaults to the previous revision)
+ * @access  Planner or Admin
+ */
+const getTemplateRevision = async (req, res) => {
+  try {
+    const revision = await TemplateRevision.findById(req.params.revisionId).populate('changedBy', 'firstName lastName email');
+    if (!revision) {
+      return res.status(404).json({ message: 'Template revision not found.' });
+    }
+
+    const { compareTo } = req.query;
+    if (compareTo === 'current') {
+      // From the current templates to this revision: what a rollback would change
+      const currentTemplates = await TaskTemplate.find({ templateSet: revision.templateSet }).lean();
+      return res.json({
+        revision,
+        comparedWith: 'current',
+        changes: diffTemplateRevisions(currentTemplates.map(t => ({ ...t, templateId: t._id })), revision.templates)
+      });
+    }
+
+    let baseTemplates = [];
+    let comparedWith = null;
+    if (compareTo) {
+      const other = await TemplateRevision.findOne({ _id: compareTo, templateSet: revision.templateSet });
+      if (!other) {
+        return res.status(404).json({ message: 'Revision to compare with not found in this template set.' });
+      }
+      baseTemplates = other.templates;
+      comparedWith = other.revision;
+    } else {
+      const previous = await TemplateRevision.findOne({ templateSet: revision.templateSet, revision: { $lt: revision.revision } })
+        .sort({ revision: -1 });
+      if (previous) {
+        baseTemplates = previous.templates;
+        comparedWith = previous.revision;
+      }
+    }
+
+    res.json({ revision, comparedWith, changes: diffTemplateRevisions(baseTemplates, revision.templates) });
+  } catch (error) {
+    handleError(res, error, 'fetching template revision');
+  }
+};
+
+/**
+ * @route   POST /api/task-templates/history/:revisionId/rollback
+ * @desc    Restore the templates of a set to a previous revision, after validating it
+ * @access  Admin
+ */
+const rollbackTemplateRevision = async (req, res) => {
+  try {
+    const revision = await TemplateRevision.findById(req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ message: 'Template revision not found.' });
+    }
+
+    const errors = validateRevisionTemplates(revision);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Revision ${revision.revision} cannot be restored: ${errors.join(' ')}`, errors });
+    }
+
+    const currentTemplates = await TaskTemplate.find({ templateSet: revision.templateSet }).lean();
+    const changes = diffTemplateRevisions(currentTemplates.map(t => ({ ...t, templateId: t._id })), revision.templates);
+    if (changes.length === 0) {
+      return res.status(400).json({ message: `The templates already match revision ${revision.revision}.` });
+    }
+
+    // Templates keep their original IDs so later revisions can still be compared with this one
+    const restoredTemplates = revision.toObject().templates.map(({ templateId, ...template }) => ({
+      ...template,
+      _id: templateId,
+      templateSet: revision.templateSet
+    }));
+
+    // Applied all or nothing, so a failed rollback leaves the set unchanged
+    await withTemplateSetChange(revision.templateSet, async (session) => {
+      await TaskTemplate.deleteMany({ templateSet: revision.templateSet }, { session });
+      await TaskTemplate.insertMany(restoredTemplates, { session });
+    });
+
+    const newRevision = await recordTemplateRevision({
+      templateSetId: revision.templateSet,
+      action: 'ROLLBACK',
+      summary: `Rolled back to revision ${revision.revision}.`,
+      user: req.user
+    });
+
+    res.json({
+      message: `Templates rolled back to revision ${revision.revision}.`,
+      revision: newRevision.revision,
+      changes
+    });
+  } catch (error) {
+    handleError(res, error, 'rolling back templates');
+  }
+};
+
+module.exports = {
+  getTemplateHistory,
+  getTemplateRevision,
+  rollbackTemplateRevision,
+};
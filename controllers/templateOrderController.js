@@ -0,0 +1,313 @@
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const logActivity = require('../utils/logActivity');
+const { compareOrderCodes, toOrderCode, renameDependencies, validateDependencyLinks } = require('../utils/dependencyGraph');
+const { recordTemplateRevision, withTemplateSetChange } = require('../utils/templateHistory');
+const { validateRule } = require('../utils/ruleExpression');
+const { validateChecklist } = require('../utils/checklist');
+const { findRenumberingConflicts, renameSnapshotTasks } = require('../utils/templateSync');
+
+// Placeholder for the template being inserted in a renumbering sequence
+const NEW_TEMPLATE = 'NEW_TEMPLATE';
+
+// Helper function to send errors thrown with a status, or a generic server error
+const handleError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Task template not found (invalid ID format)' });
+  }
+  res.status(500).json({ message: `Server error while ${context}.` });
+};
+
+// Converts a target order code to a zero-based position, validating it against the allowed range
+const positionFromOrderCode = (position, maxIndex) => {
+  if (typeof position !== 'string' || !/^[A-Z]+$/.test(position)) {
+    const error = new Error('Position must be an order code (A, B, ..., AA, AB, ...).');
+    error.status = 400;
+    throw error;
+  }
+  for (let index = 0; index <= maxIndex; index++) {
+    if (toOrderCode(index) === position) return index;
+  }
+  const error = new Error(`Position must be between A and ${toOrderCode(maxIndex)}.`);
+  error.status = 400;
+  throw error;
+};
+
+// The codes of a snapshot task that renumbering changes
+const taskCodes = (task) => ({
+  order: task.order,
+  precedingTasks: [...(task.precedingTasks || [])],
+  dependencyLinks: (task.dependencyLinks || []).map(link => ({ order: link.order, type: link.type, lag: link.lag }))
+});
+
+// Writes the codes of one snapshot task if they are still `from`, leaving its other fields (and any updates
+// made to them since the snapshot was read) alone
+const writeTaskCodes = async (snapshotId, taskId, from, to, session) => {
+  const result = await SeasonSnapshot.updateOne(
+    { _id: snapshotId, tasks: { $elemMatch: { _id: taskId, order: from.order, precedingTasks: from.precedingTasks } } },
+    { $set: { 'tasks.$.order': to.order, 'tasks.$.precedingTasks': to.precedingTasks, 'tasks.$.dependencyLinks': to.dependencyLinks } },
+    { session }
+  );
+  if (result.matchedCount === 0) {
+    const error = new Error(`Task ${from.order} of a season was changed while the templates were renumbered. Please try again.`);
+    error.status = 409;
+    throw error;
+  }
+};
+
+/**
+ * Renames the tasks of the set's open seasons after their templates were renumbered, so the template
+ * sync keeps matching them. Without a transaction (no session) the tasks renamed so far are put back
+ * when a write fails.
+ * @returns {Promise<Array>} - { seasonId, version, renamed } of each snapshot with renamed tasks.
+ */
+const renameOpenSeasonTasks = async (templateSetId, mapping, session) => {
+  if (Object.keys(mapping).length === 0) return [];
+  const openSeasons = await Season.find({ status: 'Open', templateSet: templateSetId }).select('name').session(session);
+  const snapshots = openSeasons.length > 0
+    ? await SeasonSnapshot.find({ seasonId: { $in: openSeasons.map(season => season._id) } }).session(session)
+    : [];
+  const conflicts = snapshots.flatMap(snapshot => {
+    const season = openSeasons.find(s => s._id.equals(snapshot.seasonId));
+    return findRenumberingConflicts(snapshot, mapping).map(task => `${season.name} (${task.order} - ${task.name})`);
+  });
+  if (conflicts.length > 0) {
+    const error = new Error(`Renumbering would give templates the order codes of other tasks in open seasons: ${conflicts.join(', ')}. Remove those tasks first.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const renamedSnapshots = [];
+  const writtenTasks = [];
+  try {
+    for (const snapshot of snapshots) {
+      const previousCodes = snapshot.tasks.map(taskCodes);
+      const renamed = renameSnapshotTasks(snapshot, mapping);
+      if (Object.keys(renamed).length === 0) continue;
+
+      for (const [index, task] of snapshot.tasks.entries()) {
+        const from = previousCodes[index];
+        const to = taskCodes(task);
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        await writeTaskCodes(snapshot._id, task._id, from, to, session);
+        writtenTasks.push({ snapshotId: snapshot._id, taskId: task._id, from, to });
+      }
+      await SeasonSnapshot.updateOne({ _id: snapshot._id }, { $inc: { version: 1 } }, { session });
+      renamedSnapshots.push({ snapshotId: snapshot._id, seasonId: snapshot.seasonId, version: snapshot.version + 1, renamed });
+    }
+  } catch (error) {
+    if (!session) {
+      // Tasks changed again since they were renamed are left as they are rather than overwritten
+      for (const { snapshotId, taskId, from, to } of writtenTasks.reverse()) {
+        await writeTaskCodes(snapshotId, taskId, to, from, null)
+          .catch(undoError => console.error(`Could not restore the codes of task ${to.order}:`, undoError));
+      }
+      for (const { snapshotId } of renamedSnapshots) {
+        await SeasonSnapshot.updateOne({ _id: snapshotId }, { $inc: { version: -1 } });
+      }
+    }
+    throw error;
+  }
+  return renamedSnapshots;
+};
+
+/**
+ * Renumbers a template set to contiguous order codes following `sequence`, rewriting every
+ * preceding task reference, and creates the new template if the sequence contains one.
+ * The tasks of the set's open seasons are renamed along, so the template sync keeps matching them.
+ * Everything is applied at once with withTemplateSetChange, so no request sees the set half renumbered.
+ * Templates first move to temporary codes so the unique (templateSet, order) index never sees two
+ * templates with the same code.
+ * @returns {Promise<Object>} - { mapping, newTemplate, seasonsRenumbered } where mapping is old code → new code (changed codes only).
+ */
+const applyRenumbering = async (templateSetId, sequence, newTemplateData, user) => {
+  const mapping = {};
+  sequence.forEach((entry, index) => {
+    if (entry !== NEW_TEMPLATE && entry.order !== toOrderCode(index)) {
+      mapping[entry.order] = toOrderCode(index);
+    }
+  });
+
+  const temporaryCodeOps = [];
+  const finalOps = [];
+  sequence.forEach((entry, index) => {
+    if (entry === NEW_TEMPLATE) return;
+    const { precedingTasks, dependencyLinks } = renameDependencies(entry.defaultPrecedingTasks, entry.defaultDependencyLinks, mapping);
+    const codeChanged = !!mapping[entry.order];
+    const referencesChanged = entry.defaultPrecedingTasks.some(order => mapping[order]);
+    if (!codeChanged && !referencesChanged) return;
+
+    if (codeChanged) {
+      temporaryCodeOps.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { order: `~${entry._id}` } } } });
+    }
+    finalOps.push({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { order: toOrderCode(index), defaultPrecedingTasks: precedingTasks, defaultDependencyLinks: dependencyLinks } }
+      }
+    });
+  });
+
+  const { newTemplate, renamedSnapshots } = await withTemplateSetChange(templateSetId, async (session) => {
+    if (finalOps.length > 0) {
+      await TaskTemplate.bulkWrite([...temporaryCodeOps, ...finalOps], { ordered: true, session });
+    }
+    let createdTemplate = null;
+    if (newTemplateData) {
+      const { precedingTasks, dependencyLinks } = renameDependencies(newTemplateData.defaultPrecedingTasks, newTemplateData.defaultDependencyLinks, mapping);
+      [createdTemplate] = await TaskTemplate.create([{
+        ...newTemplateData,
+        templateSet: templateSetId,
+        order: toOrderCode(sequence.indexOf(NEW_TEMPLATE)),
+        defaultPrecedingTasks: precedingTasks,
+        defaultDependencyLinks: dependencyLinks
+      }], { session });
+    }
+    return { newTemplate: createdTemplate, renamedSnapshots: await renameOpenSeasonTasks(templateSetId, mapping, session) };
+  });
+
+  for (const { seasonId, version, renamed } of renamedSnapshots) {
+    await logActivity({
+      user,
+      seasonId,
+      action: 'SYNC_TEMPLATES',
+      details: `Task order codes renumbered with the task templates (snapshot version ${version}): ${Object.entries(renamed).map(([from, to]) => `${from} → ${to}`).join(', ')}.`
+    });
+  }
+
+  return { mapping, newTemplate, seasonsRenumbered: renamedSnapshots.length };
+};
+
+/**
+ * @route   POST /api/task-templates/insert
+ * @desc    Insert a template at a position (order code); it and every later template are renumbered
+ *          and all preceding task references are rewritten. Preceding tasks use the current codes.
+ *          The tasks of open seasons using the set are renamed to the new codes.
+ * @access  Admin
+ */
+const insertTaskTemplate = async (req, res) => {
+  const {
+    position, name, defaultResponsible, defaultPrecedingTasks = [], defaultDependencyLinks = [], defaultLeadTime,
+    applicabilityRule = '', inapplicableBehavior, phase = null, isMilestone = false,
+    defaultChecklist = [], checklistRequired = false, requiresApproval = false, approverDepartment = null, templateSetId
+  } = req.body;
+
+  if (!position || !name || !defaultResponsible || !defaultLeadTime) {
+    return res.status(400).json({ message: 'Missing required fields: position, name, defaultResponsible, defaultLeadTime' });
+  }
+
+  try {
+    const templateSet = await TemplateSet.resolve(templateSetId);
+    await TemplateSet.assertNotChanging(templateSet._id);
+    const templates = (await TaskTemplate.find({ templateSet: templateSet._id }))
+      .sort((a, b) => compareOrderCodes(a.order, b.order));
+
+    const insertIndex = positionFromOrderCode(position, templates.length);
+
+    if (!Array.isArray(defaultPrecedingTasks)) {
+      return res.status(400).json({ message: 'defaultPrecedingTasks must be an array of order codes.' });
+    }
+    const existingOrders = new Set(templates.map(t => t.order));
+    const notFoundOrders = [...new Set(defaultPrecedingTasks)].filter(order => !existingOrders.has(order));
+    if (notFoundOrders.length > 0) {
+      return res.status(400).json({
+        message: `Invalid preceding task(s): The following order codes do not exist: ${notFoundOrders.join(', ')}`,
+        notFoundOrders
+      });
+    }
+    const linkErrors = validateDependencyLinks(defaultDependencyLinks, defaultPrecedingTasks);
+    if (linkErrors.length > 0) {
+      return res.status(400).json({ message: `Invalid dependency link(s): ${linkErrors.join(' ')}`, errors: linkErrors });
+    }
+
+    const ruleError = validateRule(applicabilityRule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const checklistError = validateChecklist(defaultChecklist);
+    if (checklistError) {
+      return res.status(400).json({ message: checklistError });
+    }
+
+    const newTemplateData = {
+      name, defaultResponsible, defaultPrecedingTasks, defaultDependencyLinks, defaultLeadTime,
+      applicabilityRule, inapplicableBehavior, phase: phase || null, isMilestone: isMilestone === true,
+      defaultChecklist, checklistRequired: checklistRequired === true,
+      requiresApproval: requiresApproval === true, approverDepartment: approverDepartment || null
+    };
+    const validationError = new TaskTemplate({ ...newTemplateData, templateSet: templateSet._id, order: toOrderCode(insertIndex) }).validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
+
+    const sequence = [...templates];
+    sequence.splice(insertIndex, 0, NEW_TEMPLATE);
+    const { mapping, newTemplate, seasonsRenumbered } = await applyRenumbering(templateSet._id, sequence, newTemplateData, req.user);
+
+    await recordTemplateRevision({
+      templateSetId: templateSet._id,
+      action: 'CREATE_TEMPLATE',
+      summary: `Inserted template ${newTemplate.order} - ${newTemplate.name}${Object.keys(mapping).length > 0 ? ` and renumbered ${Object.keys(mapping).length} template(s)` : ''}.`,
+      user: req.user
+    });
+
+    res.status(201).json({ message: 'Task template inserted successfully', template: newTemplate, mapping, seasonsRenumbered });
+  } catch (error) {
+    handleError(res, error, 'inserting task template');
+  }
+};
+
+/**
+ * @route   POST /api/task-templates/:id/move
+ * @desc    Move a template to a position (order code) and renumber the set, rewriting all preceding task references;
+ *          the tasks of open seasons using the set are renamed to the new codes
+ * @access  Admin
+ */
+const moveTaskTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+
+    await TemplateSet.assertNotChanging(template.templateSet);
+    const templates = (await TaskTemplate.find({ templateSet: template.templateSet }))
+      .sort((a, b) => compareOrderCodes(a.order, b.order));
+    const targetIndex = positionFromOrderCode(req.body.position, templates.length - 1);
+
+    const sequence = templates.filter(t => !t._id.equals(template._id));
+    sequence.splice(targetIndex, 0, templates.find(t => t._id.equals(template._id)));
+    const { mapping, seasonsRenumbered } = await applyRenumbering(template.templateSet, sequence, null, req.user);
+
+    if (Object.keys(mapping).length === 0) {
+      return res.json({ message: 'The template is already at this position.', template, mapping });
+    }
+
+    const movedTemplate = await TaskTemplate.findById(template._id);
+    await recordTemplateRevision({
+      templateSetId: template.templateSet,
+      action: 'UPDATE_TEMPLATE',
+      summary: `Moved template ${template.order} - ${template.name} to ${movedTemplate.order} and renumbered ${Object.keys(mapping).length} template(s).`,
+      user: req.user
+    });
+
+    res.json({ message: 'Task template moved successfully', template: movedTemplate, mapping, seasonsRenumbered });
+  } catch (error) {
+    handleError(res, error, 'moving task template');
+  }
+};
+
+module.exports = {
+  insertTaskTemplate,
+  moveTaskTemplate,
+};
@@ -0,0 +1,167 @@
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const logActivity = require('../utils/logActivity');
+const { updateSeasonAttention, updateSeasonSchedule } = require('../utils/taskProgression');
+const { loadCalendar } = require('../utils/workingCalendar');
+const { topologicalSort, sortByDependencyOrder } = require('../utils/dependencyGraph');
+const { diffSnapshotWithTemplates, applyTemplateChanges, describeTemplateChanges } = require('../utils/templateSync');
+const { toAttributeObject } = require('../utils/ruleExpression');
+
+/**
+ * @route   GET /api/task-templates/sync-preview
+ * @desc    Show, per open season, what would change if it were re-synced with the current templates
+ * @access  Planner or Admin
+ */
+const previewTemplateSyncForOpenSeasons = async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.resolve(req.query.templateSetId);
+    await TemplateSet.assertNotChanging(templateSet._id);
+    const templates = await TaskTemplate.find({ templateSet: templateSet._id });
+    const openSeasons = await Season.find({ status: 'Open', templateSet: templateSet._id }).select('name attributes').sort({ createdAt: -1 });
+    const snapshots = await SeasonSnapshot.find({ seasonId: { $in: openSeasons.map(s => s._id) } });
+    const snapshotsBySeason = new Map(snapshots.map(s => [s.seasonId.toString(), s]));
+
+    const seasons = [];
+    openSeasons.forEach(season => {
+      const snapshot = snapshotsBySeason.get(season._id.toString());
+      if (!snapshot) return;
+      const changes = diffSnapshotWithTemplates(snapshot, templates, toAttributeObject(season.attributes));
+      if (changes.length > 0) {
+        seasons.push({ seasonId: season._id, name: season.name, snapshotVersion: snapshot.version, changes });
+      }
+    });
+
+    res.json({ templateSet: { _id: templateSet._id, name: templateSet.name }, seasons });
+  } catch (error) {
+    console.error('Error previewing template sync:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while previewing template changes.' });
+  }
+};
+
+/**
+ * @route   GET /api/seasons/:id/template-sync
+ * @desc    Show what would change in a season if it were re-synced with the current templates
+ * @access  Planner or Admin
+ */
+const previewSeasonTemplateSync = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id).select('name status templateSet attributes');
+    const snapshot = await SeasonSnapshot.findOne({ seasonId: req.params.id });
+    if (!season || !snapshot) {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+
+    await TemplateSet.assertNotChanging(season.templateSet);
+    const templates = await TaskTemplate.find({ templateSet: season.templateSet });
+    res.json({
+      seasonId: season._id,
+      name: season.name,
+      snapshotVersion: snapshot.version,
+      changes: diffSnapshotWithTemplates(snapshot, templates, toAttributeObject(season.attributes))
+    });
+  } catch (error) {
+    console.error('Error previewing season template sync:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    res.status(500).json({ message: 'Server error while previewing template changes.' });
+  }
+};
+
+/**
+ * @route   POST /api/seasons/:id/template-sync
+ * @desc    Apply template changes to an open season, optionally only for the given order codes
+ * @access  Planner or Admin
+ */
+const applySeasonTemplateSync = async (req, res) => {
+  const { orders } = req.body;
+
+  if (orders !== undefined && !Array.isArray(orders)) {
+    return res.status(400).json({ message: 'orders must be an array of order codes.' });
+  }
+
+  try {
+    const season = await Season.findById(req.params.id);
+    const snapshot = await SeasonSnapshot.findOne({ seasonId: req.params.id });
+    if (!season || !snapshot) {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    if (season.status !== 'Open') {
+      return res.status(403).json({ message: `Templates can only be synced into Open seasons. Season status is '${season.status}'.` });
+    }
+
+    // Seasons are only ever synced with the template set they were created from
+    await TemplateSet.assertNotChanging(season.templateSet);
+    const templates = await TaskTemplate.find({ templateSet: season.templateSet });
+    const { applied, skipped } = applyTemplateChanges(snapshot, templates, orders, toAttributeObject(season.attributes));
+    if (applied.length === 0) {
+      return res.status(200).json({ message: 'No template changes to apply.', applied, skipped });
+    }
+
+    // A partial selection must still leave a consistent dependency graph
+    const snapshotOrders = new Set(snapshot.tasks.map(t => t.order));
+    const missingDependencies = [];
+    snapshot.tasks.forEach(task => {
+      task.precedingTasks.forEach(predOrder => {
+        if (!snapshotOrders.has(predOrder)) missingDependencies.push(`${task.order} → ${predOrder}`);
+      });
+    });
+    if (missingDependencies.length > 0) {
+      return res.status(400).json({
+        message: `The selected changes reference tasks that are not in this season: ${missingDependencies.join(', ')}. Include those tasks in the selection.`,
+        missingDependencies
+      });
+    }
+    topologicalSort(snapshot.tasks); // Throws (400) on circular dependencies
+
+    snapshot.version += 1;
+
+    const calendar = await loadCalendar();
+    updateSeasonSchedule(season, snapshot.tasks, calendar);
+    await updateSeasonAttention(season, snapshot.tasks);
+    await snapshot.save();
+    await season.save();
+
+    await logActivity({
+      user: req.user,
+      seasonId: season._id,
+      action: 'SYNC_TEMPLATES',
+      details: `Season synced with task templates (snapshot version ${snapshot.version}): ${describeTemplateChanges(applied)}.`
+    });
+
+    const updatedSeason = await Season.findById(season._id)
+      .populate('buyer', 'name')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      message: 'Template changes applied successfully',
+      applied,
+      skipped,
+      season: updatedSeason.toObject({ virtuals: true }),
+      tasks: sortByDependencyOrder(snapshot.tasks)
+    });
+  } catch (error) {
+    console.error('Error applying template sync:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    res.status(500).json({ message: 'Server error while applying template changes.' });
+  }
+};
+
+module.exports = {
+  previewTemplateSyncForOpenSeasons,
+  previewSeasonTemplateSync,
+  applySeasonTemplateSync,
+};
@@ -22,7 +22,12 @@ const activityLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['CREATE_TASK', 'UPDATE_TASK', 'DELETE_TASK', 'UPDATE_REMARKS', 'UPDATE_COMPLETION_DATE', 'UPLOAD_ATTACHMENT', 'DELETE_ATTACHMENT', 'UPDATE_STATUS'],
+    enum: [
+      'CREATE_TASK', 'UPDATE_TASK', 'DELETE_TASK', 'UPDATE_REMARKS', 'UPDATE_COMPLETION_DATE', 'UPLOAD_ATTACHMENT', 'DELETE_ATTACHMENT', 'UPDATE_STATUS',
+      'UPDATE_SEASON_NAME', 'UPDATE_SEASON_BUYER', 'UPDATE_DELIVERY_DATE', 'SKIP_TASK', 'SYNC_TEMPLATES',
+      'UPDATE_CHECKLIST', 'SUBMIT_APPROVAL', 'APPROVE_COMPLETION', 'REJECT_COMPLETION',
+      'RECORD_DELAY'
+    ],
   },
   details: {
     type: String,
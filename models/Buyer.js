@@ -7,6 +7,12 @@ const BuyerSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Template set used for this buyer's seasons unless another one is chosen on creation
+  defaultTemplateSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TemplateSet',
+    default: null
+  },
   // Add any other buyer-specific fields if needed in the future
 }, { timestamps: true });
 
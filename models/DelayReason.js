@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const delayReasonSchema = new mongoose.Schema({
+  // Short stable key used by clients and reports (e.g. MATERIAL_DELAY)
+  code: {
+    type: String,
+    required: [true, 'Delay reason code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Delay reason name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Inactive reasons are kept for reporting but can no longer be picked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Delay reasons seeded on startup if missing; admins can add, rename or deactivate them afterwards
+const DEFAULT_DELAY_REASONS = [
+  { code: 'BUYER_COMMENT_LATE', name: 'Buyer comment late', description: 'Comments or approval from the buyer arrived late.' },
+  { code: 'MATERIAL_DELAY', name: 'Material delay', description: 'Fabric, trims or other materials arrived late.' },
+  { code: 'CAPACITY', name: 'Capacity', description: 'Not enough production or department capacity.' },
+  { code: 'QUALITY_ISSUE', name: 'Quality issue', description: 'Rework after a failed test or inspection.' },
+  { code: 'SUPPLIER_DELAY', name: 'Supplier delay', description: 'A subcontractor or supplier delivered late.' },
+  { code: 'OTHER', name: 'Other', description: 'Any other reason; explain it in the note.' },
+];
+
+delayReasonSchema.statics.initialize = async function () {
+  for (const defaultReason of DEFAULT_DELAY_REASONS) {
+    const existingReason = await this.findOne({ code: defaultReason.code });
+    if (!existingReason) {
+      await this.create(defaultReason);
+      console.log(`Initialized default delay reason: ${defaultReason.code}`);
+    }
+  }
+};
+
+const DelayReason = mongoose.model('DelayReason', delayReasonSchema);
+
+module.exports = DelayReason;
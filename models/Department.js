@@ -6,6 +6,12 @@ const DepartmentSchema = new mongoose.Schema({
     required: true,
     unique: true,
     trim: true
+  },
+  // Receives the last reminder escalation for overdue tasks of this department
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, { timestamps: true });
 
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
 
 const emailLogSchema = new mongoose.Schema({
+  // Null for emails that are not about a single season (e.g. digests)
   season: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Season',
-    required: true,
+    default: null,
   },
   recipient: {
     type: String,
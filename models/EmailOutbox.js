@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Emails waiting to be sent by the outbox worker (see utils/emailOutbox). Every send attempt is
+// also recorded in the EmailLog.
+const emailOutboxSchema = new mongoose.Schema({
+  // Null for emails that are not about a single season (e.g. digests)
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
+  recipient: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'pending',   // Waiting for its first attempt
+      'sent',
+      'failed',    // The last attempt failed; retried at nextAttemptAt
+      'dead',      // All attempts failed; only retried by an admin
+      'cancelled'  // Cancelled by an admin
+    ],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while the worker sends the email, so no other run picks it up
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
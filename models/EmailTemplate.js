@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per saved version of an email template; the highest version of a key is in use.
+// Keys without a saved version use the built-in default (see utils/emailTemplates).
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    enum: [
+      'FOOTER',              // Shared footer, available to every template as {{{footer}}}
+      'TASK_ACTIONABLE',     // A task became actionable for a department
+      'APPROVAL_REQUESTED',  // A completion was submitted for approval
+      'COMPLETION_REJECTED', // A submitted completion was rejected
+      'ATTENTION_REMINDER',  // Manual resend of the seasons requiring attention
+      'DUE_SOON',            // Scheduled reminder before the end date
+      'OVERDUE',             // Scheduled notice on and after the end date
+      'ESCALATION',          // Scheduled escalation to planners and department heads
+      'SEASON_STATUS',       // A season's status changed
+      'DIGEST'               // Daily or weekly digest
+    ]
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  subject: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  html: {
+    type: String,
+    required: [true, 'Template HTML is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+emailTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+module.exports = EmailTemplate;
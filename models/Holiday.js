@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required'],
+    unique: true // One entry per calendar day; the time part is normalized to the start of the day
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  // Recurring holidays (e.g. Christmas Day) are closed on the same month/day every year
+  isRecurring: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+module.exports = Holiday;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's email preferences per notification event; users without a document get every event.
+// The global switch and User.emailNotificationsEnabled still apply on top (see utils/notificationDispatcher).
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Events the user does not want emails for
+  disabledEvents: [{
+    type: String,
+    enum: [
+      'TASK_ACTIONABLE', // A task is ready for the user's department, or waits for their approval
+      'REMINDER',        // A task is due soon
+      'OVERDUE',         // A task is due or overdue, including escalations
+      'BLOCKED',         // A task was marked as blocked
+      'SEASON_STATUS',   // A season was closed, put on hold, canceled or reopened
+      'COMMENT_MENTION'  // The user was mentioned in a comment
+    ]
+  }],
+  // Seasons the user gets no emails about at all
+  mutedSeasons: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  }]
+}, { timestamps: true });
+
+/**
+ * Checks whether the preferences allow an email for an event about a season.
+ * @param {string|null} event - The notification event; null for emails not controlled by events.
+ * @param {string} [seasonId] - The season the email is about.
+ * @returns {boolean}
+ */
+notificationPreferenceSchema.methods.allows = function (event, seasonId) {
+  if (event && this.disabledEvents.includes(event)) return false;
+  return !seasonId || !this.mutedSeasons.some(mutedId => String(mutedId) === String(seasonId));
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -12,6 +12,11 @@ const SeasonSchema = new mongoose.Schema({
     ref: 'Buyer',
     required: [true, 'Buyer is required']
   },
+  // The template set the snapshot was created from
+  templateSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TemplateSet'
+  },
   status: {
     type: String,
     enum: ['Open', 'Closed', 'On-Hold', 'Canceled'], // Updated enum
@@ -23,6 +28,32 @@ const SeasonSchema = new mongoose.Schema({
     enum: ['PD', 'P&S', 'AM', 'QA', 'Logistics', 'Production', 'IT'], // Include all possible department codes
     default: []
   },
+  // Latest forecast end date among the snapshot tasks, refreshed whenever dates are recalculated
+  forecastFinishDate: {
+    type: Date,
+    default: null
+  },
+  // Earliest phase that still has open tasks, refreshed with requireAttention; null when all phases are done
+  currentPhase: {
+    type: String,
+    default: null
+  },
+  // Style/order characteristics (e.g. hasEmbroidery, shipmentMode) evaluated by template applicability rules
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Optional buyer delivery (ex-factory) date used for backward scheduling
+  targetDeliveryDate: {
+    type: Date,
+    default: null
+  },
+  // True when the forecast finish date is later than the target delivery date
+  isLateVsDelivery: {
+    type: Boolean,
+    default: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
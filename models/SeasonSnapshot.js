@@ -18,6 +18,13 @@ const taskSnapshotSchema = new mongoose.Schema({
   precedingTasks: [{
     type: String // References other 'order' codes within this snapshot's tasks
   }],
+  // Relationship type and lag for entries of precedingTasks; predecessors without a link are FS with no lag
+  dependencyLinks: [{
+    _id: false,
+    order: { type: String, required: true },
+    type: { type: String, enum: ['FS', 'SS', 'FF'], default: 'FS' },
+    lag: { type: Number, min: 0, default: 0 } // In working days
+  }],
   leadTime: {
     type: Number,
     required: true,
@@ -42,14 +49,90 @@ const taskSnapshotSchema = new mongoose.Schema({
     type: Boolean,
     required: true
   },
+  // False when the template's applicability rule did not match the season attributes on creation
+  sourceRuleMatchedOnCreation: {
+    type: Boolean,
+    default: true
+  },
+  // Production phase copied from the template (see TaskTemplate.phase); null when not grouped
+  phase: {
+    type: String,
+    default: null
+  },
+  isMilestone: {
+    type: Boolean,
+    default: false
+  },
+  // Sign-off items, ticked individually by the responsible department
+  checklist: [{
+    label: { type: String, required: true, trim: true },
+    isChecked: { type: Boolean, default: false },
+    checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    checkedAt: { type: Date, default: null }
+  }],
+  // When true, the task cannot be completed until every checklist item is ticked
+  checklistRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Completion must be approved by a planner or the approver department (see utils/taskApproval)
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  approverDepartment: {
+    type: String,
+    default: null
+  },
+  // The latest completion submitted for approval and the decision on it
+  approval: {
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: { type: Date },
+    proposedCompletion: { type: Date },
+    evidence: { type: String, trim: true },
+    decision: { type: String, enum: ['pending', 'approved', 'rejected'] },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    rejectionReason: { type: String, trim: true }
+  },
+  // Why the task finished after its planned end date (see utils/taskDelay)
+  delay: {
+    reason: { type: mongoose.Schema.Types.ObjectId, ref: 'DelayReason' },
+    reasonCode: { type: String },  // Copied so reports survive renamed or deleted reasons
+    reasonName: { type: String },
+    note: { type: String, trim: true },
+    daysLate: { type: Number, min: 0 },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date }
+  },
+  // Ad-hoc task added to this season only (not created from a TaskTemplate)
+  isCustom: {
+    type: Boolean,
+    default: false
+  },
+  // Skipped by a planner: marked completed without an actual completion date
+  skipped: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'blocked'],
+    enum: ['pending', 'pending_approval', 'completed', 'blocked'],
     default: 'pending'
   },
   computedDates: {
     start: { type: Date, required: false }, // Will be calculated
     end: { type: Date, required: false }    // Will be calculated
+  },
+  // Projected dates for every task, even when predecessors are not yet complete
+  forecastDates: {
+    start: { type: Date, required: false },
+    end: { type: Date, required: false }
+  },
+  // Latest allowable dates, backward-scheduled from the season's target delivery date
+  latestDates: {
+    start: { type: Date, required: false },
+    end: { type: Date, required: false }
   }
 });
 
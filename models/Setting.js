@@ -23,16 +23,41 @@ const settingSchema = new mongoose.Schema({
   timestamps: true, // Adds createdAt and updatedAt timestamps
 });
 
-// Seed the initial setting if it doesn't exist
+// Default values for application settings, seeded on startup if missing
+const DEFAULT_SETTINGS = [
+  {
+    key: 'emailNotificationsEnabled',
+    value: true, // Default to enabled
+    description: 'Controls whether automated email notifications are sent to users.',
+  },
+  {
+    key: 'workingWeekdays',
+    value: [1, 2, 3, 4, 5, 6], // Monday to Saturday (0 = Sunday, as in Date#getDay)
+    description: 'Days of the week the factory works. Lead times are counted in these working days.',
+  },
+  {
+    key: 'reminderSchedule',
+    value: {
+      enabled: true,
+      intervalMinutes: 60, // Read on startup
+      reminderDaysBefore: 2,
+      escalateToPlannersAfterDays: 2,
+      escalateToHeadsAfterDays: 5,
+      digestHour: 7, // Digests go out from this hour (server time)
+      digestWeekday: 1, // Weekly digests go out on this day (0 = Sunday)
+    },
+    description: 'Automatic task reminders: days before the end date to remind, and days overdue before escalating to planners, then to department heads. Also when user digests are sent.',
+  },
+];
+
+// Seed the initial settings if they don't exist
 settingSchema.statics.initialize = async function () {
-  const existingSetting = await this.findOne({ key: 'emailNotificationsEnabled' });
-  if (!existingSetting) {
-    await this.create({
-      key: 'emailNotificationsEnabled',
-      value: true, // Default to enabled
-      description: 'Controls whether automated email notifications are sent to users.',
-    });
-    console.log('Initialized default setting: emailNotificationsEnabled');
+  for (const defaultSetting of DEFAULT_SETTINGS) {
+    const existingSetting = await this.findOne({ key: defaultSetting.key });
+    if (!existingSetting) {
+      await this.create(defaultSetting);
+      console.log(`Initialized default setting: ${defaultSetting.key}`);
+    }
   }
 };
 
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One record per reminder stage sent for a task and due date, so the scheduler never sends a stage
+// twice (also across restarts). A moved due date starts the stages over.
+const taskReminderSchema = new mongoose.Schema({
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId, // The _id of the task within the season snapshot
+    required: true
+  },
+  taskOrder: {
+    type: String,
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: ['DUE_SOON', 'DUE', 'ESCALATED_PLANNERS', 'ESCALATED_HEADS'],
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  recipients: [{
+    type: String
+  }],
+  // True for a stage recorded without an email because a later stage for the same recipients was
+  // reached in the same run
+  skipped: {
+    type: Boolean,
+    default: false
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+taskReminderSchema.index({ task: 1, stage: 1, dueDate: 1 }, { unique: true });
+
+const TaskReminder = mongoose.model('TaskReminder', taskReminderSchema);
+
+module.exports = TaskReminder;
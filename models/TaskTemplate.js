@@ -5,8 +5,13 @@ const taskTemplateSchema = new mongoose.Schema({
     type: String,
     required: true,
     // Regex to ensure one or more uppercase letters (A, B, AA, AB, etc.)
-    match: /^[A-Z]+$/,
-    unique: true // Assuming order should be unique for templates
+    match: /^[A-Z]+$/
+    // Unique per template set, see the compound index below
+  },
+  templateSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TemplateSet',
+    required: [true, 'Template set is required']
   },
   name: {
     type: String,
@@ -22,10 +27,34 @@ const taskTemplateSchema = new mongoose.Schema({
     type: String // References other 'order' codes from TaskTemplate
     // We'll need application-level validation for existence and circular dependencies
   }],
+  // Relationship type and lag for entries of defaultPrecedingTasks; predecessors without a link are FS with no lag
+  defaultDependencyLinks: [{
+    _id: false,
+    order: { type: String, required: true },
+    type: { type: String, enum: ['FS', 'SS', 'FF'], default: 'FS' },
+    lag: { type: Number, min: 0, default: 0 } // In working days
+  }],
   defaultLeadTime: { type: Number, min: 1, required: [true, 'Default lead time is required'] },
+  // Rule evaluated against season attributes on season creation (see utils/ruleExpression); empty means always
+  applicabilityRule: { type: String, trim: true, default: '' },
+  // What happens to the task when the rule does not match: auto-complete it or leave it out of the season
+  inapplicableBehavior: { type: String, enum: ['complete', 'exclude'], default: 'complete' },
+  // Stage of the production process the task belongs to, in process order; null when not grouped
+  phase: { type: String, enum: ['Development', 'Sourcing', 'Production', 'Shipping'], default: null },
+  // Key task whose dates are reported separately (e.g. PP sample approval, ex-factory)
+  isMilestone: { type: Boolean, default: false },
+  // Sign-off items copied into every snapshot task created from the template
+  defaultChecklist: [{ type: String, trim: true }],
+  // When true, every checklist item must be ticked before the task can be completed
+  checklistRequired: { type: Boolean, default: false },
+  // Critical tasks: a submitted completion must be approved by a planner or the approver department
+  requiresApproval: { type: Boolean, default: false },
+  approverDepartment: { type: String, enum: ["PD", "P&S", "AM", "QA", "Logistics", "Production", "IT"], default: null },
   isActive: { type: Boolean, required: true, default: true }
 }, { timestamps: true });
 
+// Order codes are unique within a template set
+taskTemplateSchema.index({ templateSet: 1, order: 1 }, { unique: true });
 
 const TaskTemplate = mongoose.model('TaskTemplate', taskTemplateSchema);
 
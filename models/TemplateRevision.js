@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Copy of a task template as it was at the time of the revision
+const templateCopySchema = new mongoose.Schema({
+  templateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  order: { type: String, required: true },
+  name: { type: String, required: true },
+  defaultResponsible: [{ type: String }],
+  defaultPrecedingTasks: [{ type: String }],
+  defaultDependencyLinks: [{
+    _id: false,
+    order: { type: String, required: true },
+    type: { type: String, enum: ['FS', 'SS', 'FF'], default: 'FS' },
+    lag: { type: Number, min: 0, default: 0 }
+  }],
+  defaultLeadTime: { type: Number, required: true },
+  applicabilityRule: { type: String, default: '' },
+  inapplicableBehavior: { type: String, enum: ['complete', 'exclude'], default: 'complete' },
+  phase: { type: String, default: null },
+  isMilestone: { type: Boolean, default: false },
+  defaultChecklist: [{ type: String }],
+  checklistRequired: { type: Boolean, default: false },
+  requiresApproval: { type: Boolean, default: false },
+  approverDepartment: { type: String, default: null },
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
+const templateRevisionSchema = new mongoose.Schema({
+  templateSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TemplateSet',
+    required: true
+  },
+  // Sequential per template set, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['BASELINE', 'CREATE_TEMPLATE', 'UPDATE_TEMPLATE', 'TOGGLE_TEMPLATE', 'DELETE_TEMPLATE', 'ROLLBACK', 'IMPORT']
+  },
+  summary: {
+    type: String,
+    trim: true
+  },
+  // The whole template set after the change
+  templates: [templateCopySchema],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+templateRevisionSchema.index({ templateSet: 1, revision: -1 }, { unique: true });
+
+// Revisions are an audit trail: they are written once and never modified
+templateRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Template revisions cannot be modified.'));
+  }
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  templateRevisionSchema.pre(operation, function (next) {
+    next(new Error('Template revisions cannot be modified.'));
+  });
+});
+
+const TemplateRevision = mongoose.model('TemplateRevision', templateRevisionSchema);
+
+module.exports = TemplateRevision;
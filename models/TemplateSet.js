@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const templateSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template set name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // The set used when neither the request nor the buyer names one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set while a multi-template change runs without a transaction (see withTemplateSetChange),
+  // so other changes and template reads wait instead of seeing half-applied templates
+  changeLockedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// A change lock older than this is left over from a crashed server and is ignored
+const CHANGE_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Error for requests that run into a template set being changed
+function templateSetBusyError() {
+  const error = new Error('The templates of this set are being changed by another request. Please try again in a moment.');
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Finds the template set with the given ID, or the default set when no ID is given.
+ * @param {string} [templateSetId] - The ID of the template set.
+ * @returns {Promise<Object>} - The TemplateSet document.
+ */
+templateSetSchema.statics.resolve = async function (templateSetId) {
+  const templateSet = templateSetId
+    ? (mongoose.Types.ObjectId.isValid(templateSetId) ? await this.findById(templateSetId) : null)
+    : await this.findOne({ isDefault: true });
+
+  if (!templateSet) {
+    const error = new Error(templateSetId ? 'Template set not found' : 'No default template set is configured');
+    error.status = templateSetId ? 400 : 500;
+    throw error;
+  }
+  return templateSet;
+};
+
+/**
+ * Locks a template set for a multi-template change.
+ * @param {string} templateSetId - The ID of the template set.
+ * @returns {Promise<Date>} - The lock, to pass to unlockChange.
+ */
+templateSetSchema.statics.lockForChange = async function (templateSetId) {
+  const lockedAt = new Date();
+  const templateSet = await this.findOneAndUpdate(
+    {
+      _id: templateSetId,
+      $or: [{ changeLockedAt: null }, { changeLockedAt: { $lt: new Date(lockedAt.getTime() - CHANGE_LOCK_TIMEOUT_MS) } }]
+    },
+    { changeLockedAt: lockedAt }
+  );
+  if (!templateSet) {
+    throw templateSetBusyError();
+  }
+  return lockedAt;
+};
+
+// Releases a lock taken with lockForChange, unless it has expired and been taken over since
+templateSetSchema.statics.unlockChange = async function (templateSetId, lockedAt) {
+  await this.updateOne({ _id: templateSetId, changeLockedAt: lockedAt }, { changeLockedAt: null });
+};
+
+/**
+ * Throws a 409 error while the templates of a set are being changed without a transaction.
+ * Called before reading templates to copy them (seasons, exports) and before changing a template.
+ * @param {string} templateSetId - The ID of the template set.
+ */
+templateSetSchema.statics.assertNotChanging = async function (templateSetId) {
+  const changing = await this.exists({
+    _id: templateSetId,
+    changeLockedAt: { $gte: new Date(Date.now() - CHANGE_LOCK_TIMEOUT_MS) }
+  });
+  if (changing) {
+    throw templateSetBusyError();
+  }
+};
+
+// Ensure a default set exists and move templates and seasons created before template sets into it
+templateSetSchema.statics.initialize = async function () {
+  let defaultSet = await this.findOne({ isDefault: true });
+  if (!defaultSet) {
+    defaultSet = await this.create({
+      name: 'Standard',
+      description: 'Default production process.',
+      isDefault: true
+    });
+    console.log('Initialized default template set: Standard');
+  }
+
+  const TaskTemplate = mongoose.model('TaskTemplate');
+  const Season = mongoose.model('Season');
+  const templatesResult = await TaskTemplate.updateMany({ templateSet: { $exists: false } }, { templateSet: defaultSet._id });
+  const seasonsResult = await Season.updateMany({ templateSet: { $exists: false } }, { templateSet: defaultSet._id });
+  if (templatesResult.modifiedCount > 0 || seasonsResult.modifiedCount > 0) {
+    console.log(`Assigned ${templatesResult.modifiedCount} template(s) and ${seasonsResult.modifiedCount} season(s) to the default template set.`);
+  }
+
+  // Order codes used to be unique globally; they are now unique per template set
+  await TaskTemplate.syncIndexes();
+};
+
+const TemplateSet = mongoose.model('TemplateSet', templateSetSchema);
+
+module.exports = TemplateSet;
@@ -47,6 +47,16 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Opt-in digest of new, due soon and overdue tasks instead of one email per task (see utils/taskDigest)
+  digestFrequency: {
+    type: String,
+    enum: ['none', 'daily', 'weekly'],
+    default: 'none'
+  },
+  lastDigestSentAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
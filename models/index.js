@@ -1,9 +1,17 @@
 module.exports = {
   Buyer: require('./Buyer'),
+  DelayReason: require('./DelayReason'),
   Department: require('./Department'),
+  EmailOutbox: require('./EmailOutbox'),
+  EmailTemplate: require('./EmailTemplate'),
+  Holiday: require('./Holiday'),
+  NotificationPreference: require('./NotificationPreference'),
   Season: require('./Season'),
   SeasonSnapshot: require('./SeasonSnapshot'),
   Task: require('./Task'),
+  TaskReminder: require('./TaskReminder'),
   TaskTemplate: require('./TaskTemplate'),
+  TemplateRevision: require('./TemplateRevision'),
+  TemplateSet: require('./TemplateSet'),
   User: require('./User')
 };
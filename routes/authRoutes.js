@@ -110,6 +110,7 @@ router.post('/login', async (req, res) => {
       department: user.department, // This will be populated with { _id, name }
       role: user.role,
       emailNotificationsEnabled: user.emailNotificationsEnabled,
+      digestFrequency: user.digestFrequency,
       token: generateToken(user),
     });
 
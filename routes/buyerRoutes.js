@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Buyer = require('../models/Buyer');
 const Season = require('../models/Season'); // Added for dependency check
+const TemplateSet = require('../models/TemplateSet');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // @route   POST /api/buyers
 // @desc    Create a new buyer
 // @access  Admin
 router.post('/', protect, authorize('Admin'), async (req, res) => {
-  const { name } = req.body;
+  const { name, defaultTemplateSet } = req.body;
   if (!name) {
     return res.status(400).json({ message: 'Buyer name is required' });
   }
@@ -17,11 +18,17 @@ router.post('/', protect, authorize('Admin'), async (req, res) => {
     if (existingBuyer) {
       return res.status(400).json({ message: 'Buyer already exists' });
     }
-    const buyer = new Buyer({ name });
+    if (defaultTemplateSet) {
+      await TemplateSet.resolve(defaultTemplateSet);
+    }
+    const buyer = new Buyer({ name, defaultTemplateSet: defaultTemplateSet || null });
     await buyer.save();
     res.status(201).json(buyer);
   } catch (error) {
     console.error(error.message);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -62,7 +69,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Update a buyer
 // @access  Admin
 router.put('/:id', protect, authorize('Admin'), async (req, res) => {
-  const { name } = req.body;
+  const { name, defaultTemplateSet } = req.body;
   if (!name) {
     return res.status(400).json({ message: 'Buyer name is required' });
   }
@@ -76,11 +83,22 @@ router.put('/:id', protect, authorize('Admin'), async (req, res) => {
         return res.status(400).json({ message: `Buyer name '${name}' already exists.` });
     }
 
+    // An explicit null clears the buyer's default template set
+    if (req.body.hasOwnProperty('defaultTemplateSet')) {
+      if (defaultTemplateSet) {
+        await TemplateSet.resolve(defaultTemplateSet);
+      }
+      buyer.defaultTemplateSet = defaultTemplateSet || null;
+    }
+
     buyer.name = name;
     await buyer.save();
     res.json(buyer);
   } catch (error) {
     console.error(error.message);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     if (error.kind === 'ObjectId') {
         return res.status(404).json({ message: 'Buyer not found' });
     }
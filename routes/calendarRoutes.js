@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const Holiday = require('../models/Holiday');
+const Setting = require('../models/Setting');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { DEFAULT_WORKING_WEEKDAYS } = require('../utils/workingCalendar');
+
+// Helper function to parse a holiday date and normalize it to the start of the day
+function parseHolidayDate(value) {
+  const date = moment(value);
+  return date.isValid() ? date.startOf('day').toDate() : null;
+}
+
+// @route   GET /api/calendar
+// @desc    Get the company calendar (weekly working pattern and holidays)
+// @access  Authenticated Users
+router.get('/', protect, async (req, res) => {
+  try {
+    const [weekdaySetting, holidays] = await Promise.all([
+      Setting.findOne({ key: 'workingWeekdays' }),
+      Holiday.find().sort({ date: 1 })
+    ]);
+
+    res.json({
+      workingWeekdays: weekdaySetting ? weekdaySetting.value : DEFAULT_WORKING_WEEKDAYS,
+      holidays
+    });
+  } catch (error) {
+    console.error('Error fetching company calendar:', error);
+    res.status(500).json({ message: 'Server error while fetching company calendar' });
+  }
+});
+
+// @route   PUT /api/calendar/working-weekdays
+// @desc    Update the weekly working pattern (0 = Sunday ... 6 = Saturday)
+// @access  Admin
+router.put('/working-weekdays', protect, authorize('Admin'), async (req, res) => {
+  const { workingWeekdays } = req.body;
+
+  if (!Array.isArray(workingWeekdays) || workingWeekdays.length === 0) {
+    return res.status(400).json({ message: 'workingWeekdays must be a non-empty array of weekday numbers (0-6).' });
+  }
+  const invalidDays = workingWeekdays.filter(day => !Number.isInteger(day) || day < 0 || day > 6);
+  if (invalidDays.length > 0) {
+    return res.status(400).json({ message: `Invalid weekday(s): ${invalidDays.join(', ')}. Use 0 (Sunday) to 6 (Saturday).` });
+  }
+
+  try {
+    const uniqueDays = [...new Set(workingWeekdays)].sort((a, b) => a - b);
+    const setting = await Setting.findOneAndUpdate(
+      { key: 'workingWeekdays' },
+      { value: uniqueDays, lastModifiedBy: req.user.id },
+      { new: true, upsert: true }
+    );
+    res.json(setting);
+  } catch (error) {
+    console.error('Error updating working weekdays:', error);
+    res.status(500).json({ message: 'Server error while updating working weekdays' });
+  }
+});
+
+// @route   GET /api/calendar/holidays
+// @desc    Get all holidays, optionally filtered by year
+// @access  Authenticated Users
+router.get('/holidays', protect, async (req, res) => {
+  try {
+    const { year } = req.query;
+    const query = {};
+
+    if (year) {
+      const yearNum = parseInt(year, 10);
+      if (isNaN(yearNum)) {
+        return res.status(400).json({ message: 'Invalid year' });
+      }
+      // Recurring holidays apply to every year, so always include them
+      query.$or = [
+        { isRecurring: true },
+        { date: { $gte: moment({ year: yearNum }).startOf('year').toDate(), $lte: moment({ year: yearNum }).endOf('year').toDate() } }
+      ];
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+    res.json(holidays);
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({ message: 'Server error while fetching holidays' });
+  }
+});
+
+// @route   POST /api/calendar/holidays
+// @desc    Create a holiday
+// @access  Admin
+router.post('/holidays', protect, authorize('Admin'), async (req, res) => {
+  const { date, name, isRecurring } = req.body;
+
+  if (!date || !name) {
+    return res.status(400).json({ message: 'Holiday date and name are required' });
+  }
+  const holidayDate = parseHolidayDate(date);
+  if (!holidayDate) {
+    return res.status(400).json({ message: 'Invalid holiday date format' });
+  }
+
+  try {
+    const existingHoliday = await Holiday.findOne({ date: holidayDate });
+    if (existingHoliday) {
+      return res.status(400).json({ message: `A holiday already exists on ${moment(holidayDate).format('DD-MMM-YYYY')} ('${existingHoliday.name}').` });
+    }
+
+    const holiday = new Holiday({
+      date: holidayDate,
+      name,
+      isRecurring: isRecurring === true,
+      createdBy: req.user.id
+    });
+    await holiday.save();
+    res.status(201).json(holiday);
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating holiday' });
+  }
+});
+
+// @route   PUT /api/calendar/holidays/:id
+// @desc    Update a holiday
+// @access  Admin
+router.put('/holidays/:id', protect, authorize('Admin'), async (req, res) => {
+  const { date, name, isRecurring } = req.body;
+
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    if (date) {
+      const holidayDate = parseHolidayDate(date);
+      if (!holidayDate) {
+        return res.status(400).json({ message: 'Invalid holiday date format' });
+      }
+      const existingHoliday = await Holiday.findOne({ date: holidayDate, _id: { $ne: holiday._id } });
+      if (existingHoliday) {
+        return res.status(400).json({ message: `A holiday already exists on ${moment(holidayDate).format('DD-MMM-YYYY')} ('${existingHoliday.name}').` });
+      }
+      holiday.date = holidayDate;
+    }
+    if (name) holiday.name = name;
+    if (typeof isRecurring === 'boolean') holiday.isRecurring = isRecurring;
+
+    await holiday.save();
+    res.json(holiday);
+  } catch (error) {
+    console.error('Error updating holiday:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Holiday not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server error while updating holiday' });
+  }
+});
+
+// @route   DELETE /api/calendar/holidays/:id
+// @desc    Delete a holiday
+// @access  Admin
+router.delete('/holidays/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await holiday.deleteOne();
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Holiday not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server error while deleting holiday' });
+  }
+});
+
+module.exports = router;
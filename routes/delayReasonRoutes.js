@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const DelayReason = require('../models/DelayReason');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getDelayAnalytics } = require('../controllers/delayReasonController');
+
+// @route   GET /api/delay-reasons
+// @desc    Get the delay reasons; inactive ones only with ?includeInactive=true
+// @access  Authenticated Users (for dropdowns, etc.)
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const reasons = await DelayReason.find(query).sort({ name: 1 });
+    res.json(reasons);
+  } catch (error) {
+    console.error('Error fetching delay reasons:', error);
+    res.status(500).json({ message: 'Server error while fetching delay reasons' });
+  }
+});
+
+// @route   GET /api/delay-reasons/analytics
+// @desc    Summarize days lost to late completions by reason, department and buyer
+// @access  Planner or Admin
+router.get('/analytics', protect, authorize('Planner', 'Admin'), getDelayAnalytics);
+
+// @route   POST /api/delay-reasons
+// @desc    Create a delay reason
+// @access  Admin
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+  const { code, name, description } = req.body;
+
+  if (!code || !name) {
+    return res.status(400).json({ message: 'Delay reason code and name are required' });
+  }
+
+  try {
+    const existingReason = await DelayReason.findOne({ code: String(code).trim().toUpperCase() });
+    if (existingReason) {
+      return res.status(400).json({ message: `A delay reason with code '${existingReason.code}' already exists ('${existingReason.name}').` });
+    }
+
+    const reason = new DelayReason({
+      code,
+      name,
+      description,
+      createdBy: req.user.id
+    });
+    await reason.save();
+    res.status(201).json(reason);
+  } catch (error) {
+    console.error('Error creating delay reason:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating delay reason' });
+  }
+});
+
+// @route   PUT /api/delay-reasons/:id
+// @desc    Update a delay reason's name, description or active flag (the code is fixed)
+// @access  Admin
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+  const { name, description, isActive } = req.body;
+
+  try {
+    const reason = await DelayReason.findById(req.params.id);
+    if (!reason) {
+      return res.status(404).json({ message: 'Delay reason not found' });
+    }
+
+    if (name) reason.name = name;
+    if (description !== undefined) reason.description = description;
+    if (typeof isActive === 'boolean') reason.isActive = isActive;
+
+    await reason.save();
+    res.json(reason);
+  } catch (error) {
+    console.error('Error updating delay reason:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delay reason not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server error while updating delay reason' });
+  }
+});
+
+// @route   DELETE /api/delay-reasons/:id
+// @desc    Delete a delay reason that was never recorded on a task
+// @access  Admin
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const reason = await DelayReason.findById(req.params.id);
+    if (!reason) {
+      return res.status(404).json({ message: 'Delay reason not found' });
+    }
+
+    const isUsed = await SeasonSnapshot.exists({ 'tasks.delay.reason': reason._id });
+    if (isUsed) {
+      return res.status(400).json({ message: `Delay reason '${reason.name}' is recorded on tasks and cannot be deleted. Deactivate it instead.` });
+    }
+
+    await reason.deleteOne();
+    res.json({ message: 'Delay reason deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting delay reason:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delay reason not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server error while deleting delay reason' });
+  }
+});
+
+module.exports = router;
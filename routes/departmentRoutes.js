@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Department = require('../models/Department');
 const User = require('../models/User'); // Added for dependency check
 const Task = require('../models/Task'); // Added for dependency check
@@ -32,7 +33,7 @@ router.post('/', protect, authorize('Admin'), async (req, res) => {
 // @access  Authenticated Users (for dropdowns, etc.)
 router.get('/', protect, async (req, res) => {
   try {
-    const departments = await Department.find().sort({ name: 1 });
+    const departments = await Department.find().populate('head', 'firstName lastName email').sort({ name: 1 });
     res.json(departments);
   } catch (error) {
     console.error(error.message);
@@ -45,7 +46,7 @@ router.get('/', protect, async (req, res) => {
 // @access  Authenticated Users
 router.get('/:id', protect, async (req, res) => {
   try {
-    const department = await Department.findById(req.params.id);
+    const department = await Department.findById(req.params.id).populate('head', 'firstName lastName email');
     if (!department) {
       return res.status(404).json({ message: 'Department not found' });
     }
@@ -60,10 +61,10 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   PUT /api/departments/:id
-// @desc    Update a department
+// @desc    Update a department's name and head (the user overdue tasks are escalated to; null clears it)
 // @access  Admin
 router.put('/:id', protect, authorize('Admin'), async (req, res) => {
-  const { name } = req.body;
+  const { name, head } = req.body;
   if (!name) {
     return res.status(400).json({ message: 'Department name is required' });
   }
@@ -78,6 +79,16 @@ router.put('/:id', protect, authorize('Admin'), async (req, res) => {
         return res.status(400).json({ message: `Department name '${name}' already exists.` });
     }
 
+    if (head !== undefined) {
+      if (head !== null) {
+        const headUser = mongoose.Types.ObjectId.isValid(head) ? await User.findById(head) : null;
+        if (!headUser || !headUser.isActive) {
+          return res.status(400).json({ message: 'Department head must be an active user.' });
+        }
+      }
+      department.head = head;
+    }
+
     department.name = name;
     await department.save();
     res.json(department);
@@ -3,21 +3,42 @@ const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const moment = require('moment');
 const router = express.Router();
 const Department = require('../models/Department'); // Make sure this is imported if used, seems to be in PUT route
 const Task = require('../models/Task'); // This seems to be for a different 'Task' model, not TaskTemplate for snapshot creation.
 const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
 const SeasonSnapshot = require('../models/SeasonSnapshot');
 const Buyer = require('../models/Buyer');
 const Season = require('../models/Season'); // Added import for Season model
 const ActivityLog = require('../models/ActivityLog');
 const logActivity = require('../utils/logActivity'); // Added for logging
 const { protect, authorize } = require('../middleware/authMiddleware');
-const { updateTaskAndProgressSeason, updateSeasonAttention, recalculateAllTaskDates } = require('../utils/taskProgression');
+const { updateTaskAndProgressSeason, updateSeasonAttention, updateSeasonSchedule } = require('../utils/taskProgression');
+const { loadCalendar } = require('../utils/workingCalendar');
+const { buildSnapshotTasks } = require('../utils/templateSync');
+const { validateAttributes } = require('../utils/ruleExpression');
+const { sortByDependencyOrder } = require('../utils/dependencyGraph');
+const { getPhaseProgress, getMilestones } = require('../utils/seasonPhases');
+const { notifySeasonStatusChange } = require('../utils/notificationDispatcher');
 const {
   updateSeasonStatus,
+  getSeasonCriticalPath,
+  previewSeasonTimeline,
   exportSeasonToExcel,
 } = require('../controllers/seasonController');
+const {
+  updateSnapshotTaskDefinition,
+  addCustomSnapshotTask,
+  removeSnapshotTask,
+  skipSnapshotTask,
+  updateChecklistItem,
+  approveTaskCompletion,
+  rejectTaskCompletion,
+} = require('../controllers/snapshotTaskController');
+const { previewSeasonTemplateSync, applySeasonTemplateSync } = require('../controllers/templateSyncController');
+const { getSeasonGraph } = require('../controllers/graphController');
 
 // --- Multer Configuration for File Uploads ---
 const storage = multer.diskStorage({
@@ -39,16 +60,31 @@ const upload = multer({ storage: storage });
 
 
 // @route   POST /api/seasons
-// @desc    Create a new season
+// @desc    Create a new season from a template set (explicit, the buyer's default, or the global default)
 // @access  Planner or Admin
 router.post('/', protect, authorize('Planner', 'Admin'), async (req, res) => {
-  const { name, buyerId } = req.body;
+  const { name, buyerId, targetDeliveryDate, templateSetId, attributes = {} } = req.body;
   console.log('[POST /api/seasons] Received name:', name, 'buyerId:', buyerId);
 
   if (!name || !buyerId) {
     return res.status(400).json({ message: 'Season name and buyer ID are required' });
   }
 
+  // Optional delivery date: when given, every task is also backward-scheduled from it
+  let deliveryDate = null;
+  if (targetDeliveryDate) {
+    deliveryDate = new Date(targetDeliveryDate);
+    if (isNaN(deliveryDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid targetDeliveryDate format' });
+    }
+  }
+
+  // Season attributes decide which conditional templates apply
+  const attributesError = validateAttributes(attributes);
+  if (attributesError) {
+    return res.status(400).json({ message: attributesError });
+  }
+
   try {
     const buyerExists = await Buyer.findById(buyerId);
     if (!buyerExists) {
@@ -61,34 +97,32 @@ router.post('/', protect, authorize('Planner', 'Admin'), async (req, res) => {
       return res.status(400).json({ message: `Season with name '${name}' already exists.`});
     }
 
+    const templateSet = await TemplateSet.resolve(templateSetId || buyerExists.defaultTemplateSet);
+    await TemplateSet.assertNotChanging(templateSet._id);
+
     console.log('[POST /api/seasons] Creating new Season object with name:', name);
     const season = new Season({
       name,
       buyer: buyerId,
+      templateSet: templateSet._id,
       createdBy: req.user.id,
       status: 'Open',
+      targetDeliveryDate: deliveryDate,
+      attributes,
       requireAttention: [] // Initialize as empty array, will be populated by task logic
     });
 
     await season.save();
 
     // --- Create Season Snapshot ---
-    const taskTemplates = await TaskTemplate.find({}); // Fetch all, active and inactive
-
-    const snapshotTasks = taskTemplates.map(tt => ({
-      order: tt.order,
-      name: tt.name,
-      responsible: tt.defaultResponsible || [],
-      precedingTasks: tt.defaultPrecedingTasks || [],
-      // Defensive check: Use template's lead time, or default to 1 day if it's missing (to handle old data).
-      leadTime: tt.defaultLeadTime || 1,
-      sourceTemplateActiveOnCreation: tt.isActive,
-      status: tt.isActive ? 'pending' : 'completed', // If template inactive, mark task as completed
-      computedDates: { start: null, end: null } // Initialize computedDates object
-    }));
+    const taskTemplates = await TaskTemplate.find({ templateSet: templateSet._id }); // Fetch all of the set, active and inactive
+
+    // Templates that do not apply to the season attributes are auto-completed or excluded
+    const snapshotTasks = buildSnapshotTasks(taskTemplates, attributes);
 
     // Use the new centralized logic to initialize dates and attention status
-    recalculateAllTaskDates(snapshotTasks, season.createdAt);
+    const calendar = await loadCalendar();
+    updateSeasonSchedule(season, snapshotTasks, calendar);
     await updateSeasonAttention(season, snapshotTasks);
 
     const seasonSnapshot = new SeasonSnapshot({
@@ -108,6 +142,9 @@ router.post('/', protect, authorize('Planner', 'Admin'), async (req, res) => {
     console.error('Error Stack:', error.stack);
     console.error('Full Error Object:', error);
 
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({ message: error.message, details: error.errors });
     }
@@ -121,6 +158,11 @@ router.post('/', protect, authorize('Planner', 'Admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/seasons/preview
+// @desc    Preview the timeline of a new season from its template set without creating it
+// @access  Planner or Admin
+router.post('/preview', protect, authorize('Planner', 'Admin'), previewSeasonTimeline);
+
 // @route   GET /api/seasons
 // @desc    Get all seasons with filtering, sorting, pagination
 // @access  Authenticated Users
@@ -155,6 +197,14 @@ router.get('/', protect, async (req, res) => {
             matchStage.requireAttention = { $all: departments };
           }
           break;
+        case 'lateVsDelivery':
+          // 'true' lists seasons forecast to finish after their delivery date, 'false' those on track
+          matchStage.targetDeliveryDate = { $ne: null };
+          matchStage.isLateVsDelivery = searchValue === 'true';
+          break;
+        case 'currentPhase':
+          matchStage.currentPhase = searchValue;
+          break;
       }
     }
 
@@ -179,6 +229,10 @@ router.get('/', protect, async (req, res) => {
           name: 1,
           status: 1,
           requireAttention: 1,
+          forecastFinishDate: 1,
+          targetDeliveryDate: 1,
+          isLateVsDelivery: 1,
+          currentPhase: 1,
           createdAt: 1,
           buyer: {
             _id: '$buyer_docs._id',
@@ -212,6 +266,7 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const season = await Season.findById(req.params.id)
       .populate('buyer', 'name')
+      .populate('templateSet', 'name')
       .populate('createdBy', 'firstName lastName email'); // Correctly populate creator's info
 
     if (!season) {
@@ -221,11 +276,23 @@ router.get('/:id', protect, async (req, res) => {
     // Fetch the season snapshot which contains the tasks
     const snapshot = await SeasonSnapshot.findOne({ seasonId: req.params.id });
 
-    // Sort tasks by the 'order' field alphabetically for consistent display
-    const tasks = snapshot ? snapshot.tasks.sort((a, b) => a.order.localeCompare(b.order)) : [];
+    // Seasons created before forecasting was introduced have no forecast yet; compute it for the response only.
+    // It is stored by the next change to the season (task updates, snapshot edits, template sync).
+    if (snapshot && snapshot.tasks.some(t => !t.forecastDates || !t.forecastDates.end)) {
+      const calendar = await loadCalendar();
+      updateSeasonSchedule(season, snapshot.tasks, calendar);
+    }
+
+    // Sort tasks in dependency order (each task after its preceding tasks) for consistent display
+    const tasks = snapshot ? sortByDependencyOrder(snapshot.tasks) : [];
 
-    // The frontend expects a `season` object and a `tasks` array.
-    res.json({ season: season.toObject({ virtuals: true }), tasks: tasks });
+    // The frontend expects a `season` object and a `tasks` array; phases and milestones summarize the tasks.
+    res.json({
+      season: season.toObject({ virtuals: true }),
+      tasks: tasks,
+      phases: getPhaseProgress(tasks),
+      milestones: getMilestones(tasks)
+    });
 
   } catch (error) {
     console.error(`Error fetching season ${req.params.id}:`, error);
@@ -236,6 +303,26 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/seasons/:id/critical-path
+// @desc    Get the critical path and float of each task in a season
+// @access  Protected
+router.get('/:id/critical-path', protect, getSeasonCriticalPath);
+
+// @route   GET /api/seasons/:id/graph
+// @desc    Get the task dependency graph of a season as JSON, DOT or Mermaid
+// @access  Protected
+router.get('/:id/graph', protect, getSeasonGraph);
+
+// @route   GET /api/seasons/:id/template-sync
+// @desc    Preview changes between a season's snapshot and the current task templates
+// @access  Planner or Admin
+router.get('/:id/template-sync', protect, authorize('Planner', 'Admin'), previewSeasonTemplateSync);
+
+// @route   POST /api/seasons/:id/template-sync
+// @desc    Apply selected task template changes to a season's snapshot
+// @access  Planner or Admin
+router.post('/:id/template-sync', protect, authorize('Planner', 'Admin'), applySeasonTemplateSync);
+
 // @route   GET /api/seasons/:id/export
 // @desc    Export a season's details to an Excel file
 // @access  Protected
@@ -284,6 +371,37 @@ router.put('/:id', protect, authorize('Planner', 'Admin'), async (req, res) => {
       });
     }
 
+    // Handle target delivery date update (null or empty string clears it)
+    if (req.body.hasOwnProperty('targetDeliveryDate')) {
+      const { targetDeliveryDate } = req.body;
+      const newDeliveryDate = targetDeliveryDate ? new Date(targetDeliveryDate) : null;
+      if (newDeliveryDate && isNaN(newDeliveryDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid targetDeliveryDate format' });
+      }
+
+      const oldTime = season.targetDeliveryDate ? season.targetDeliveryDate.getTime() : null;
+      const newTime = newDeliveryDate ? newDeliveryDate.getTime() : null;
+      if (oldTime !== newTime) {
+        const oldDateStr = season.targetDeliveryDate ? moment(season.targetDeliveryDate).format('DD-MMM-YY') : 'none';
+        season.targetDeliveryDate = newDeliveryDate;
+
+        const snapshot = await SeasonSnapshot.findOne({ seasonId: season._id });
+        if (snapshot) {
+          const calendar = await loadCalendar();
+          updateSeasonSchedule(season, snapshot.tasks, calendar);
+          await snapshot.save();
+        }
+
+        await logActivity({
+          seasonId: season._id,
+          user: req.user,
+          action: 'UPDATE_DELIVERY_DATE',
+          details: `Target delivery date changed from "${oldDateStr}" to "${newDeliveryDate ? moment(newDeliveryDate).format('DD-MMM-YY') : 'none'}"`
+        });
+      }
+    }
+
+    const oldStatus = season.status;
     if (status) {
         // Add validation for allowed status values if not using enum strictly in model
         season.status = status;
@@ -299,6 +417,9 @@ router.put('/:id', protect, authorize('Planner', 'Admin'), async (req, res) => {
     }
 
     await season.save();
+    if (season.status !== oldStatus) {
+      await notifySeasonStatusChange(season, oldStatus, req.user.id);
+    }
     const populatedSeason = await Season.findById(season._id).populate('buyer', 'name'); // Removed populate for needAttention
     res.json(populatedSeason);
   } catch (error) {
@@ -341,7 +462,7 @@ router.delete('/:id', protect, authorize('Planner', 'Admin'), async (req, res) =
 });
 
 // @route   PUT /api/seasons/:seasonId/tasks/:taskId
-// @desc    Update a task within a season (e.g., mark as complete, add remarks)
+// @desc    Update a task within a season (e.g., mark as complete, add remarks); tasks that require approval are submitted with { evidence }, late completions need { delayReason, delayNote }
 // @access  Protect, Planner, Admin, or responsible User
 router.put('/:seasonId/tasks/:taskId', protect, async (req, res) => {
   const { seasonId, taskId } = req.params;
@@ -399,7 +520,7 @@ router.put('/:seasonId/tasks/:taskId', protect, async (req, res) => {
       return res.json({
         message: 'No changes detected in task.',
         season: originalSeason.toObject({ virtuals: true }),
-        tasks: snapshot.tasks.sort((a, b) => a.order.localeCompare(b.order))
+        tasks: sortByDependencyOrder(snapshot.tasks)
       });
     }
 
@@ -409,20 +530,58 @@ router.put('/:seasonId/tasks/:taskId', protect, async (req, res) => {
       .populate('createdBy', 'firstName lastName email');
     
     // The result from the progression function contains the updated tasks array
-    const sortedTasks = result.updatedTasks.sort((a, b) => a.order.localeCompare(b.order));
+    const sortedTasks = sortByDependencyOrder(result.updatedTasks);
 
     res.json({
-      message: 'Task updated successfully',
+      message: result.message || 'Task updated successfully',
       season: updatedSeason.toObject({ virtuals: true }),
       tasks: sortedTasks
     });
 
   } catch (error) {
     console.error(`Error updating task ${taskId} in season ${seasonId}:`, error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error while updating task.', error: error.message });
   }
 });
 
+// @route   POST /api/seasons/:seasonId/tasks/custom
+// @desc    Add an ad-hoc task to a season
+// @access  Planner or Admin
+router.post('/:seasonId/tasks/custom', protect, authorize('Planner', 'Admin'), addCustomSnapshotTask);
+
+// @route   POST /api/seasons/:seasonId/tasks/:taskId/remove
+// @desc    Remove a task from a season, re-wiring its dependents
+// @access  Planner or Admin
+router.post('/:seasonId/tasks/:taskId/remove', protect, authorize('Planner', 'Admin'), removeSnapshotTask);
+
+// @route   POST /api/seasons/:seasonId/tasks/:taskId/skip
+// @desc    Skip a task for a season
+// @access  Planner or Admin
+router.post('/:seasonId/tasks/:taskId/skip', protect, authorize('Planner', 'Admin'), skipSnapshotTask);
+
+// @route   PUT /api/seasons/:seasonId/tasks/:taskId/definition
+// @desc    Edit a task's lead time, responsible departments, phase, checklist or dependencies for this season only
+// @access  Planner or Admin
+router.put('/:seasonId/tasks/:taskId/definition', protect, authorize('Planner', 'Admin'), updateSnapshotTaskDefinition);
+
+// @route   PUT /api/seasons/:seasonId/tasks/:taskId/checklist/:itemId
+// @desc    Tick or untick a checklist item of a task
+// @access  Protect, Planner, Admin, or responsible User
+router.put('/:seasonId/tasks/:taskId/checklist/:itemId', protect, updateChecklistItem);
+
+// @route   POST /api/seasons/:seasonId/tasks/:taskId/approve
+// @desc    Approve a completion submitted for approval
+// @access  Protect, Planner, Admin, or approver department
+router.post('/:seasonId/tasks/:taskId/approve', protect, approveTaskCompletion);
+
+// @route   POST /api/seasons/:seasonId/tasks/:taskId/reject
+// @desc    Reject a completion submitted for approval, with a reason
+// @access  Protect, Planner, Admin, or approver department
+router.post('/:seasonId/tasks/:taskId/reject', protect, rejectTaskCompletion);
+
 // @route   POST /api/seasons/:seasonId/tasks/:taskId/attachments
 // @desc    Upload an attachment for a specific task
 // @access  Protect, Planner, Admin, or responsible User
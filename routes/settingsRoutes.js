@@ -5,9 +5,22 @@ const Setting = require('../models/Setting');
 const EmailLog = require('../models/EmailLog');
 const Season = require('../models/Season');
 const SeasonSnapshot = require('../models/SeasonSnapshot');
-const User = require('../models/User');
 const Department = require('../models/Department');
-const { sendEmail } = require('../utils/emailService');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailOutbox = require('../models/EmailOutbox');
+const { dispatchNotification, areEmailsEnabled } = require('../utils/notificationDispatcher');
+const { enqueueEmail, wakeOutboxWorker } = require('../utils/emailOutbox');
+const {
+  EMAIL_TEMPLATE_KEYS,
+  SAMPLE_DATA,
+  seasonLink,
+  getTemplatePlaceholders,
+  validateEmailTemplate,
+  loadEmailTemplate,
+  compileEmailTemplate
+} = require('../utils/emailTemplates');
+const { getActionableTasks } = require('../utils/taskProgression');
+const { runReminderJobs } = require('../utils/reminderScheduler');
 
 // @desc    Get all email logs
 // @route   GET /api/settings/email-logs
@@ -58,8 +71,7 @@ router.put('/:key', protect, authorize('Planner', 'Admin'), async (req, res) =>
 // @access  Private/Planner/Admin
 router.post('/resend-notifications', protect, authorize('Planner', 'Admin'), async (req, res) => {
   try {
-    const emailSetting = await Setting.findOne({ key: 'emailNotificationsEnabled' });
-    if (!emailSetting || emailSetting.value !== true) {
+    if (!(await areEmailsEnabled())) {
       return res.status(400).json({ message: 'Email notifications are currently disabled.' });
     }
 
@@ -76,45 +88,24 @@ router.post('/resend-notifications', protect, authorize('Planner', 'Admin'), asy
       const snapshot = await SeasonSnapshot.findOne({ seasonId: season._id }).lean();
       if (!snapshot) continue;
 
-      const tasksMap = new Map(snapshot.tasks.map(t => [t.order, t]));
-      const actionableTasks = snapshot.tasks.filter(task => {
-        if (task.status !== 'pending') return false;
-        if (!task.precedingTasks || task.precedingTasks.length === 0) return true;
-        return task.precedingTasks.every(predOrder => {
-          const predecessor = tasksMap.get(predOrder);
-          return predecessor && predecessor.status === 'completed';
-        });
-      }).map(t => t.name);
+      const actionableTasks = getActionableTasks(snapshot.tasks).map(t => t.name);
 
       if (actionableTasks.length === 0) continue;
 
       const departments = await Department.find({ name: { $in: season.requireAttention } }).select('_id');
       const departmentIds = departments.map(d => d._id);
-      const usersToNotify = await User.find({ department: { $in: departmentIds } }).select('email');
-
-      const subject = `REMINDER: Action Required for Season: ${season.name}`;
-      const seasonUrl = `${process.env.CLIENT_URL}/seasons/${season._id}`;
-      const html = `
-        <p>Hello,</p>
-        <p>This is a reminder that your attention is required for the season: <strong  style="color:red;">${season.name}</strong>.</p>
-        <p>The following task(s) are ready for your department's action: <strong  style="color:red;">${actionableTasks.join(', ')}</strong>.</p>
-        <p>Please <a href=\"${seasonUrl}\">click here</a> to view the season details and take the necessary actions.</p>
-        <p>Thank you,</p>
-        <p>PRODUCTION Timeline System</p>
-        <p style="font-size:10px;color:#666;">Copyright © 2025 GLENSON_ENCODE SYSTEMS</p>
-      `;
-
-      for (const user of usersToNotify) {
-        try {
-          await sendEmail({ seasonId: season._id, to: user.email, subject, html });
-          emailsSent++;
-        } catch (emailError) {
-          console.error(`Failed to resend email to ${user.email} for season ${season.name}:`, emailError);
-        }
-      }
+
+      const { sentTo } = await dispatchNotification({
+        event: 'REMINDER',
+        seasonId: season._id,
+        recipients: { department: { $in: departmentIds } },
+        template: 'ATTENTION_REMINDER',
+        data: { seasonName: season.name, taskNames: actionableTasks.join(', '), link: seasonLink(season._id) }
+      });
+      emailsSent += sentTo.length;
     }
 
-    res.json({ message: `Successfully resent ${emailsSent} notification(s).` });
+    res.json({ message: `Successfully queued ${emailsSent} notification(s).` });
 
   } catch (error) {
     console.error('Error resending notifications:', error);
@@ -122,4 +113,269 @@ router.post('/resend-notifications', protect, authorize('Planner', 'Admin'), asy
   }
 });
 
+// @desc    Run the scheduled task reminders and escalations now; stages already sent are not resent
+// @route   POST /api/settings/run-reminders
+// @access  Private/Planner/Admin
+router.post('/run-reminders', protect, authorize('Planner', 'Admin'), async (req, res) => {
+  try {
+    const { remindersSent, emailsSent } = await runReminderJobs();
+    res.json({ message: `Sent ${remindersSent} reminder(s) in ${emailsSent} email(s).`, remindersSent, emailsSent });
+  } catch (error) {
+    console.error('Error running task reminders:', error);
+    res.status(500).json({ message: 'Server Error while running task reminders.' });
+  }
+});
+
+// Builds the draft of a preview or test send from the request body; without subject and html the version in use is rendered
+async function loadTemplateDraft(key, body) {
+  if (body.html === undefined && body.subject === undefined) {
+    return loadEmailTemplate(key);
+  }
+  const validationError = validateEmailTemplate(key, body);
+  if (validationError) {
+    const error = new Error(validationError);
+    error.status = 400;
+    throw error;
+  }
+  return { subject: body.subject || '', html: body.html };
+}
+
+// @desc    List the email templates with the version in use and their placeholders
+// @route   GET /api/settings/email-templates
+// @access  Private/Planner/Admin
+router.get('/email-templates', protect, authorize('Planner', 'Admin'), async (req, res) => {
+  try {
+    const templates = await Promise.all(EMAIL_TEMPLATE_KEYS.map(async key => ({
+      ...(await loadEmailTemplate(key)),
+      placeholders: getTemplatePlaceholders(key)
+    })));
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ message: 'Server Error while fetching email templates.' });
+  }
+});
+
+// @desc    Get an email template: the version in use, its placeholders and the saved versions
+// @route   GET /api/settings/email-templates/:key
+// @access  Private/Planner/Admin
+router.get('/email-templates/:key', protect, authorize('Planner', 'Admin'), async (req, res) => {
+  const { key } = req.params;
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({ message: `Email template '${key}' not found.` });
+  }
+
+  try {
+    const current = await loadEmailTemplate(key);
+    const versions = await EmailTemplate.find({ key })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ version: -1 });
+    res.json({ ...current, placeholders: getTemplatePlaceholders(key), versions });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({ message: 'Server Error while fetching the email template.' });
+  }
+});
+
+// @desc    Save a new version of an email template, which is used from now on
+// @route   PUT /api/settings/email-templates/:key
+// @access  Private/Admin
+router.put('/email-templates/:key', protect, authorize('Admin'), async (req, res) => {
+  const { key } = req.params;
+  const { subject, html } = req.body;
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({ message: `Email template '${key}' not found.` });
+  }
+  const validationError = validateEmailTemplate(key, { subject, html });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const current = await loadEmailTemplate(key);
+    const template = await EmailTemplate.create({
+      key,
+      version: current.version + 1,
+      subject: subject || '',
+      html,
+      createdBy: req.user.id
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The template was changed in the meantime. Reload it and try again.' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error while saving the email template.' });
+  }
+});
+
+// @desc    Restore an earlier version of an email template by saving it as a new version
+// @route   POST /api/settings/email-templates/:key/restore/:version
+// @access  Private/Admin
+router.post('/email-templates/:key/restore/:version', protect, authorize('Admin'), async (req, res) => {
+  const { key } = req.params;
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({ message: `Email template '${key}' not found.` });
+  }
+
+  try {
+    const restored = await EmailTemplate.findOne({ key, version: Number(req.params.version) });
+    if (!restored) {
+      return res.status(404).json({ message: `Version ${req.params.version} of email template '${key}' not found.` });
+    }
+
+    const current = await loadEmailTemplate(key);
+    const template = await EmailTemplate.create({
+      key,
+      version: current.version + 1,
+      subject: restored.subject,
+      html: restored.html,
+      createdBy: req.user.id
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error restoring email template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The template was changed in the meantime. Reload it and try again.' });
+    }
+    res.status(500).json({ message: 'Server Error while restoring the email template.' });
+  }
+});
+
+// @desc    Render an email template with sample data. Body: { subject?, html? } to preview a draft;
+//          without them the version in use is rendered
+// @route   POST /api/settings/email-templates/:key/preview
+// @access  Private/Planner/Admin
+router.post('/email-templates/:key/preview', protect, authorize('Planner', 'Admin'), async (req, res) => {
+  const { key } = req.params;
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({ message: `Email template '${key}' not found.` });
+  }
+
+  try {
+    const draft = await loadTemplateDraft(key, req.body || {});
+    const render = await compileEmailTemplate(key, draft);
+    res.json({ ...render({ ...SAMPLE_DATA, link: seasonLink('sample') }), sampleData: SAMPLE_DATA });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error while previewing the email template.' });
+  }
+});
+
+// @desc    Queue an email template rendered with sample data for the requesting admin.
+//          Body: { subject?, html? } to test a draft; without them the version in use is sent
+// @route   POST /api/settings/email-templates/:key/test
+// @access  Private/Admin
+router.post('/email-templates/:key/test', protect, authorize('Admin'), async (req, res) => {
+  const { key } = req.params;
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({ message: `Email template '${key}' not found.` });
+  }
+
+  try {
+    const draft = await loadTemplateDraft(key, req.body || {});
+    const render = await compileEmailTemplate(key, draft);
+    const { subject, html } = render({ ...SAMPLE_DATA, firstName: req.user.firstName, link: seasonLink('sample') });
+    const email = await enqueueEmail({ to: req.user.email, subject: `[TEST] ${subject || key}`, html });
+    res.json({ message: `Test email queued for ${req.user.email}.`, outboxId: email._id });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error while queuing the test email.' });
+  }
+});
+
+// @desc    List the emails of the outbox, newest first. Query: { status?, limit? (default 100, max 500) }
+// @route   GET /api/settings/email-outbox
+// @access  Private/Planner/Admin
+router.get('/email-outbox', protect, authorize('Planner', 'Admin'), async (req, res) => {
+  const { status } = req.query;
+  const statuses = EmailOutbox.schema.path('status').enumValues;
+  if (status && !statuses.includes(status)) {
+    return res.status(400).json({ message: `Invalid status. Statuses are ${statuses.join(', ')}.` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  try {
+    const emails = await EmailOutbox.find(status ? { status } : {})
+      .select('-html')
+      .populate('season', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(emails);
+  } catch (error) {
+    console.error('Error fetching email outbox:', error);
+    res.status(500).json({ message: 'Server Error while fetching the email outbox.' });
+  }
+});
+
+// @desc    Retry a failed, dead or cancelled email now, with a fresh set of attempts
+// @route   POST /api/settings/email-outbox/:id/retry
+// @access  Private/Admin
+router.post('/email-outbox/:id/retry', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const email = await EmailOutbox.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['failed', 'dead', 'cancelled'] }, lockedAt: null },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date(), $unset: { cancelledBy: 1 } },
+      { new: true }
+    ).select('-html');
+    if (!email) {
+      const exists = await EmailOutbox.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Only failed, dead or cancelled emails can be retried.' })
+        : res.status(404).json({ message: 'Email not found' });
+    }
+
+    wakeOutboxWorker();
+    res.json(email);
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Email not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server Error while retrying the email.' });
+  }
+});
+
+// @desc    Cancel a pending or failed email, so it is not sent
+// @route   POST /api/settings/email-outbox/:id/cancel
+// @access  Private/Admin
+router.post('/email-outbox/:id/cancel', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const email = await EmailOutbox.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['pending', 'failed'] }, lockedAt: null },
+      { status: 'cancelled', cancelledBy: req.user.id },
+      { new: true }
+    ).select('-html');
+    if (!email) {
+      const existing = await EmailOutbox.findById(req.params.id).select('status');
+      if (!existing) {
+        return res.status(404).json({ message: 'Email not found' });
+      }
+      return res.status(400).json({
+        message: ['pending', 'failed'].includes(existing.status)
+          ? 'The email is being sent right now and cannot be cancelled.'
+          : `A ${existing.status} email cannot be cancelled.`
+      });
+    }
+
+    res.json(email);
+  } catch (error) {
+    console.error('Error cancelling email:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Email not found (invalid ID format)' });
+    }
+    res.status(500).json({ message: 'Server Error while cancelling the email.' });
+  }
+});
+
 module.exports = router;
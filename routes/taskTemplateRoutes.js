@@ -1,101 +1,81 @@
 const express = require('express');
 const router = express.Router();
-const { TaskTemplate } = require('../models'); // Assuming index.js in models exports TaskTemplate
+const { TaskTemplate, TemplateSet } = require('../models'); // Assuming index.js in models exports TaskTemplate
 const { protect, authorize } = require('../middleware/authMiddleware'); // Adjust path if necessary
 const SeasonSnapshot = require('../models/SeasonSnapshot');
 const mongoose = require('mongoose');
-
-// Helper function to validate alphabetical order of preceding tasks
-function validatePrecedingOrderAlphabetical(currentOrder, precedingTasksArray) {
-  const invalidTasks = precedingTasksArray.filter(precedingOrder => {
-    // Correctly compare Excel-style column names (e.g., 'Z' < 'AA')
-    if (precedingOrder.length > currentOrder.length) {
-      return true; // e.g., 'AA' is a dependency of 'Z', which is invalid
-    }
-    if (precedingOrder.length < currentOrder.length) {
-      return false; // e.g., 'Z' is a dependency of 'AA', which is valid
+const multer = require('multer');
+const { validateDependencyLinks, findCycle } = require('../utils/dependencyGraph');
+const { previewTemplateSyncForOpenSeasons } = require('../controllers/templateSyncController');
+const { getTemplateHistory, getTemplateRevision, rollbackTemplateRevision } = require('../controllers/templateHistoryController');
+const { exportTemplatesToExcel, importTemplatesFromExcel } = require('../controllers/templateExcelController');
+const { getTemplateGraph } = require('../controllers/graphController');
+const { insertTaskTemplate, moveTaskTemplate } = require('../controllers/templateOrderController');
+const { recordTemplateRevision } = require('../utils/templateHistory');
+const { validateRule } = require('../utils/ruleExpression');
+const { validateChecklist } = require('../utils/checklist');
+
+// Template sheets are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.xlsx$/i.test(file.originalname)) {
+      const error = new Error('Only .xlsx files can be imported.');
+      error.status = 400;
+      return cb(error);
     }
-    // If lengths are equal, a direct string comparison is correct
-    return precedingOrder >= currentOrder;
-  });
-  return {
-    isValid: invalidTasks.length === 0,
-    invalidTasks
-  };
-}
-
-// Helper function to detect circular dependencies using a provided map
-function hasCircularDependency(orderToCheck, tasksToCheck, path, allTemplatesMap) {
-  if (path.includes(orderToCheck)) {
-    return true; // Cycle detected
-  }
-
-  if (!tasksToCheck || tasksToCheck.length === 0) {
-    return false;
+    cb(null, true);
   }
+});
 
-  const newPath = [...path, orderToCheck];
-
-  for (const precedingOrder of tasksToCheck) {
-    const nextTasks = allTemplatesMap.get(precedingOrder);
-    // Only recurse if the preceding task exists in the map and has preceding tasks itself
-    if (nextTasks) { // No need to check nextTasks.length > 0 here, base case handles it
-      if (hasCircularDependency(precedingOrder, nextTasks, newPath, allTemplatesMap)) {
-        return true;
-      }
+// Runs the upload middleware and reports its errors (wrong file type, size) as JSON
+const uploadTemplateSheet = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({ message: error.message });
     }
-  }
-  return false;
-}
+    next();
+  });
+};
 
 // @route   POST /api/task-templates
-// @desc    Create a new task template
+// @desc    Create a new task template in a template set (the default set when templateSetId is omitted)
 // @access  Admin
 router.post('/', protect, authorize(['Admin']), async (req, res) => {
   try {
-    const { order, name, defaultResponsible, defaultPrecedingTasks, defaultLeadTime } = req.body;
+    const { order, name, defaultResponsible, defaultPrecedingTasks, defaultDependencyLinks, defaultLeadTime, applicabilityRule, inapplicableBehavior, phase, isMilestone, defaultChecklist = [], checklistRequired, requiresApproval, approverDepartment, templateSetId } = req.body;
 
     // Basic validation
     if (!order || !name || !defaultResponsible || !defaultLeadTime) {
       return res.status(400).json({ message: 'Missing required fields: order, name, defaultResponsible, defaultLeadTime' });
     }
 
+    const templateSet = await TemplateSet.resolve(templateSetId);
+    await TemplateSet.assertNotChanging(templateSet._id);
+
     // Check for existing order code
-    const existingTemplate = await TaskTemplate.findOne({ order });
+    const existingTemplate = await TaskTemplate.findOne({ templateSet: templateSet._id, order });
     if (existingTemplate) {
       return res.status(400).json({ message: 'Task template with this order code already exists' });
     }
 
-    // Validate defaultPrecedingTasks: ensure they exist as valid 'order' codes
-    // Circular dependency check
-    if (defaultPrecedingTasks && defaultPrecedingTasks.length > 0) {
-      const allTemplates = await TaskTemplate.find().select('order defaultPrecedingTasks');
-      const allTemplatesMap = new Map();
-      allTemplates.forEach(t => allTemplatesMap.set(t.order, t.defaultPrecedingTasks || []));
-      
-      // Add the current template being created to the map for the check
-      allTemplatesMap.set(order, defaultPrecedingTasks);
-
-      if (hasCircularDependency(order, defaultPrecedingTasks, [], allTemplatesMap)) {
-        return res.status(400).json({ message: 'Circular dependency detected in defaultPrecedingTasks.' });
-      }
-    }
-
-    // Alphabetical order validation for preceding tasks
+    // Circular dependency check over the whole set with the new template in place
     if (defaultPrecedingTasks && defaultPrecedingTasks.length > 0) {
-      const orderValidation = validatePrecedingOrderAlphabetical(order, defaultPrecedingTasks);
-      if (!orderValidation.isValid) {
-        return res.status(400).json({
-          message: `Invalid preceding task(s): Preceding task 'order' codes must be alphabetically before the current task 'order' ('${order}'). Invalid: ${orderValidation.invalidTasks.join(', ')}`,
-          invalidTasks: orderValidation.invalidTasks
-        });
+      const allTemplates = await TaskTemplate.find({ templateSet: templateSet._id }).select('order defaultPrecedingTasks');
+      const cyclePath = findCycle([
+        ...allTemplates.map(t => ({ order: t.order, precedingTasks: t.defaultPrecedingTasks })),
+        { order, precedingTasks: defaultPrecedingTasks }
+      ]);
+      if (cyclePath) {
+        return res.status(400).json({ message: `Circular dependency detected in defaultPrecedingTasks: ${cyclePath.join(' → ')}.`, cyclePath });
       }
     }
 
     // Validate defaultPrecedingTasks: ensure they exist as valid 'order' codes
     if (defaultPrecedingTasks && defaultPrecedingTasks.length > 0) {
       const uniquePrecedingTasks = [...new Set(defaultPrecedingTasks)]; // Remove duplicates for efficiency
-      const foundTemplates = await TaskTemplate.find({ order: { $in: uniquePrecedingTasks } }).select('order');
+      const foundTemplates = await TaskTemplate.find({ templateSet: templateSet._id, order: { $in: uniquePrecedingTasks } }).select('order');
       if (foundTemplates.length !== uniquePrecedingTasks.length) {
         const foundOrders = foundTemplates.map(t => t.order);
         const notFoundOrders = uniquePrecedingTasks.filter(orderCode => !foundOrders.includes(orderCode));
@@ -106,18 +86,56 @@ router.post('/', protect, authorize(['Admin']), async (req, res) => {
       }
     }
 
+    // Validate dependency types (FS, SS, FF) and lags against the preceding tasks
+    if (defaultDependencyLinks) {
+      const linkErrors = validateDependencyLinks(defaultDependencyLinks, defaultPrecedingTasks || []);
+      if (linkErrors.length > 0) {
+        return res.status(400).json({ message: `Invalid dependency link(s): ${linkErrors.join(' ')}`, errors: linkErrors });
+      }
+    }
+
+    // Validate the applicability rule syntax (evaluated against season attributes on season creation)
+    const ruleError = validateRule(applicabilityRule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const checklistError = validateChecklist(defaultChecklist);
+    if (checklistError) {
+      return res.status(400).json({ message: checklistError });
+    }
+
     const newTaskTemplate = new TaskTemplate({
       order,
+      templateSet: templateSet._id,
       name,
       defaultResponsible,
       defaultPrecedingTasks: defaultPrecedingTasks || [],
-      defaultLeadTime
+      defaultDependencyLinks: defaultDependencyLinks || [],
+      defaultLeadTime,
+      applicabilityRule: applicabilityRule || '',
+      inapplicableBehavior,
+      phase: phase || null,
+      isMilestone: isMilestone === true,
+      defaultChecklist,
+      checklistRequired: checklistRequired === true,
+      requiresApproval: requiresApproval === true,
+      approverDepartment: approverDepartment || null
     });
 
     const savedTemplate = await newTaskTemplate.save();
+    await recordTemplateRevision({
+      templateSetId: templateSet._id,
+      action: 'CREATE_TEMPLATE',
+      summary: `Created template ${savedTemplate.order} - ${savedTemplate.name}.`,
+      user: req.user
+    });
     res.status(201).json(savedTemplate);
   } catch (error) {
     console.error('Error creating task template:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
         return res.status(400).json({ message: error.message });
     }
@@ -125,27 +143,71 @@ router.post('/', protect, authorize(['Admin']), async (req, res) => {
   }
 });
 
+// @route   POST /api/task-templates/insert
+// @desc    Insert a task template at a position, renumbering later templates and their references
+// @access  Admin
+router.post('/insert', protect, authorize('Admin'), insertTaskTemplate);
+
 // @route   GET /api/task-templates
-// @desc    Get all task templates
+// @desc    Get all task templates of a template set (the default set when templateSetId is omitted)
 // @access  Authenticated Users (Admin, Planner, User - for read-only purposes)
 router.get('/', protect, async (req, res) => {
   try {
-    const { includeInactive } = req.query;
-    let query = {};
+    const { includeInactive, templateSetId } = req.query;
+    const templateSet = await TemplateSet.resolve(templateSetId);
+    let query = { templateSet: templateSet._id };
 
     if (includeInactive !== 'true') {
       query.isActive = true;
     }
-    // If includeInactive is 'true', the query remains empty, fetching all.
+    // If includeInactive is 'true', all templates of the set are fetched.
 
     const templates = await TaskTemplate.find(query).sort({ order: 1 });
     res.json(templates);
   } catch (error) {
     console.error('Error fetching task templates:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error while fetching task templates' });
   }
 });
 
+// @route   GET /api/task-templates/sync-preview
+// @desc    Show, per open season, what would change if it were re-synced with the current templates
+// @access  Planner or Admin
+router.get('/sync-preview', protect, authorize('Planner', 'Admin'), previewTemplateSyncForOpenSeasons);
+
+// @route   GET /api/task-templates/graph
+// @desc    Get the template dependency graph as JSON, DOT or Mermaid
+// @access  Authenticated Users
+router.get('/graph', protect, getTemplateGraph);
+
+// @route   GET /api/task-templates/export
+// @desc    Export all templates of a template set to Excel
+// @access  Authenticated Users
+router.get('/export', protect, exportTemplatesToExcel);
+
+// @route   POST /api/task-templates/import
+// @desc    Validate an Excel sheet of templates and apply it completely or not at all
+// @access  Admin
+router.post('/import', protect, authorize('Admin'), uploadTemplateSheet, importTemplatesFromExcel);
+
+// @route   GET /api/task-templates/history
+// @desc    List the revisions of a template set with the changes made in each
+// @access  Planner or Admin
+router.get('/history', protect, authorize('Planner', 'Admin'), getTemplateHistory);
+
+// @route   GET /api/task-templates/history/:revisionId
+// @desc    Get a revision with its templates, compared with another revision or the current templates
+// @access  Planner or Admin
+router.get('/history/:revisionId', protect, authorize('Planner', 'Admin'), getTemplateRevision);
+
+// @route   POST /api/task-templates/history/:revisionId/rollback
+// @desc    Restore a template set to a previous revision
+// @access  Admin
+router.post('/history/:revisionId/rollback', protect, authorize('Admin'), rollbackTemplateRevision);
+
 // @route   GET /api/task-templates/:id
 // @desc    Get a single task template by ID
 // @access  Authenticated Users
@@ -170,16 +232,17 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Admin
 router.put('/:id', protect, authorize(['Admin']), async (req, res) => {
   try {
-    const { order, name, defaultResponsible, defaultPrecedingTasks, defaultLeadTime } = req.body;
+    const { order, name, defaultResponsible, defaultPrecedingTasks, defaultDependencyLinks, defaultLeadTime } = req.body;
 
     let template = await TaskTemplate.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Task template not found' });
     }
+    await TemplateSet.assertNotChanging(template.templateSet);
 
     // Check if order is being changed and if the new order already exists
     if (order && order !== template.order) {
-        const existingOrderTemplate = await TaskTemplate.findOne({ order: order, _id: { $ne: template._id } });
+        const existingOrderTemplate = await TaskTemplate.findOne({ templateSet: template.templateSet, order: order, _id: { $ne: template._id } });
         if (existingOrderTemplate) {
             return res.status(400).json({ message: 'Another task template with this order code already exists' });
         }
@@ -194,53 +257,51 @@ router.put('/:id', protect, authorize(['Admin']), async (req, res) => {
     if (typeof req.body.isActive === 'boolean') {
       template.isActive = req.body.isActive;
     }
-    
-    // Circular dependency check for updates
-    if (req.body.hasOwnProperty('defaultPrecedingTasks')) { // Check only if field is present
-      const newPrecedingTasks = req.body.defaultPrecedingTasks || [];
-      const newOrder = req.body.order || template.order;
-
-      if (newPrecedingTasks.length > 0) {
-        const allDbTemplates = await TaskTemplate.find().select('order defaultPrecedingTasks _id');
-        const hypotheticalTemplatesMap = new Map();
-
-        allDbTemplates.forEach(t => {
-          if (t._id.toString() !== template._id.toString()) {
-            hypotheticalTemplatesMap.set(t.order, t.defaultPrecedingTasks || []);
-          }
-        });
-        // Add/update the current template with its proposed changes to the hypothetical map
-        hypotheticalTemplatesMap.set(newOrder, newPrecedingTasks);
-        
-        // If the order is changing, ensure the old order entry (if different) is not in the map pointing to old data
-        // This is implicitly handled by iterating allDbTemplates and only adding others, then setting the newOrder.
-        // If newOrder is same as template.order, it just overwrites with newPrecedingTasks.
-
-        if (hasCircularDependency(newOrder, newPrecedingTasks, [], hypotheticalTemplatesMap)) {
-          return res.status(400).json({ message: 'Circular dependency detected in defaultPrecedingTasks.' });
-        }
+    if (req.body.hasOwnProperty('applicabilityRule')) {
+      const ruleError = validateRule(req.body.applicabilityRule);
+      if (ruleError) {
+        return res.status(400).json({ message: ruleError });
       }
+      template.applicabilityRule = req.body.applicabilityRule || '';
     }
-
-    // Alphabetical order validation for preceding tasks on update
-    if (req.body.hasOwnProperty('defaultPrecedingTasks')) {
-      const newPrecedingTasks = req.body.defaultPrecedingTasks || [];
-      const newOrder = req.body.order || template.order; // Use the potentially updated order
-      if (newPrecedingTasks.length > 0) {
-        const orderValidation = validatePrecedingOrderAlphabetical(newOrder, newPrecedingTasks);
-        if (!orderValidation.isValid) {
-          return res.status(400).json({
-            message: `Invalid preceding task(s): Preceding task 'order' codes must be alphabetically before the current task 'order' ('${newOrder}'). Invalid: ${orderValidation.invalidTasks.join(', ')}`,
-            invalidTasks: orderValidation.invalidTasks
-          });
-        }
+    if (req.body.inapplicableBehavior) template.inapplicableBehavior = req.body.inapplicableBehavior;
+    // An empty phase removes the template from phase grouping
+    if (req.body.hasOwnProperty('phase')) template.phase = req.body.phase || null;
+    if (typeof req.body.isMilestone === 'boolean') template.isMilestone = req.body.isMilestone;
+    if (req.body.hasOwnProperty('defaultChecklist')) {
+      const checklistError = validateChecklist(req.body.defaultChecklist || []);
+      if (checklistError) {
+        return res.status(400).json({ message: checklistError });
+      }
+      template.defaultChecklist = req.body.defaultChecklist || [];
+    }
+    if (typeof req.body.checklistRequired === 'boolean') template.checklistRequired = req.body.checklistRequired;
+    if (typeof req.body.requiresApproval === 'boolean') template.requiresApproval = req.body.requiresApproval;
+    // An empty approver department leaves approval to the planners
+    if (req.body.hasOwnProperty('approverDepartment')) template.approverDepartment = req.body.approverDepartment || null;
+    
+    // Circular dependency check over the whole set with the proposed order code and preceding tasks
+    if (req.body.hasOwnProperty('defaultPrecedingTasks') || (order && order !== template.order)) {
+      const newPrecedingTasks = req.body.hasOwnProperty('defaultPrecedingTasks')
+        ? (req.body.defaultPrecedingTasks || [])
+        : template.defaultPrecedingTasks;
+      const newOrder = order || template.order;
+
+      const otherTemplates = await TaskTemplate.find({ templateSet: template.templateSet, _id: { $ne: template._id } })
+        .select('order defaultPrecedingTasks');
+      const cyclePath = findCycle([
+        ...otherTemplates.map(t => ({ order: t.order, precedingTasks: t.defaultPrecedingTasks })),
+        { order: newOrder, precedingTasks: newPrecedingTasks }
+      ]);
+      if (cyclePath) {
+        return res.status(400).json({ message: `Circular dependency detected in defaultPrecedingTasks: ${cyclePath.join(' → ')}.`, cyclePath });
       }
     }
 
     // Validate defaultPrecedingTasks if provided for update
     if (defaultPrecedingTasks && defaultPrecedingTasks.length > 0) {
       const uniquePrecedingTasks = [...new Set(defaultPrecedingTasks)];
-      const foundTemplates = await TaskTemplate.find({ order: { $in: uniquePrecedingTasks } }).select('order');
+      const foundTemplates = await TaskTemplate.find({ templateSet: template.templateSet, order: { $in: uniquePrecedingTasks } }).select('order');
       if (foundTemplates.length !== uniquePrecedingTasks.length) {
         const foundOrders = foundTemplates.map(t => t.order);
         const notFoundOrders = uniquePrecedingTasks.filter(orderCode => !foundOrders.includes(orderCode));
@@ -257,11 +318,32 @@ router.put('/:id', protect, authorize(['Admin']), async (req, res) => {
       template.defaultPrecedingTasks = [];
     }
 
+    // Validate dependency types and lags; links to removed predecessors are dropped
+    if (req.body.hasOwnProperty('defaultDependencyLinks')) {
+      const newLinks = defaultDependencyLinks || [];
+      const linkErrors = validateDependencyLinks(newLinks, template.defaultPrecedingTasks);
+      if (linkErrors.length > 0) {
+        return res.status(400).json({ message: `Invalid dependency link(s): ${linkErrors.join(' ')}`, errors: linkErrors });
+      }
+      template.defaultDependencyLinks = newLinks;
+    } else {
+      template.defaultDependencyLinks = (template.defaultDependencyLinks || [])
+        .filter(link => template.defaultPrecedingTasks.includes(link.order));
+    }
 
     const updatedTemplate = await template.save();
+    await recordTemplateRevision({
+      templateSetId: updatedTemplate.templateSet,
+      action: 'UPDATE_TEMPLATE',
+      summary: `Updated template ${updatedTemplate.order} - ${updatedTemplate.name}.`,
+      user: req.user
+    });
     res.json(updatedTemplate);
   } catch (error) {
     console.error('Error updating task template:', error);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
         return res.status(400).json({ message: error.message });
     }
@@ -281,13 +363,23 @@ router.patch('/:id/toggle-active', protect, authorize(['Admin']), async (req, re
     if (!template) {
       return res.status(404).json({ message: 'Task template not found' });
     }
+    await TemplateSet.assertNotChanging(template.templateSet);
 
     template.isActive = !template.isActive;
     await template.save();
+    await recordTemplateRevision({
+      templateSetId: template.templateSet,
+      action: 'TOGGLE_TEMPLATE',
+      summary: `${template.isActive ? 'Activated' : 'Deactivated'} template ${template.order} - ${template.name}.`,
+      user: req.user
+    });
 
     res.json(template);
   } catch (error) {
     console.error('Error toggling task template active status:', error);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
     if (error.kind === 'ObjectId') {
         return res.status(404).json({ message: 'Task template not found (invalid ID format)' });
     }
@@ -298,6 +390,11 @@ router.patch('/:id/toggle-active', protect, authorize(['Admin']), async (req, re
   }
 });
 
+// @route   POST /api/task-templates/:id/move
+// @desc    Move a task template to a position, renumbering the set and its references
+// @access  Admin
+router.post('/:id/move', protect, authorize('Admin'), moveTaskTemplate);
+
 // @route   DELETE /api/task-templates/:id
 // @desc    Delete a task template
 // @access  Admin
@@ -307,9 +404,10 @@ router.delete('/:id', protect, authorize(['Admin']), async (req, res) => {
     if (!template) {
       return res.status(404).json({ message: 'Task template not found' });
     }
+    await TemplateSet.assertNotChanging(template.templateSet);
 
     // Safety Check: Ensure the template is not a dependency for other templates.
-    const dependentTemplate = await TaskTemplate.findOne({ defaultPrecedingTasks: template.order });
+    const dependentTemplate = await TaskTemplate.findOne({ templateSet: template.templateSet, defaultPrecedingTasks: template.order });
     if (dependentTemplate) {
       return res.status(400).json({
         message: `Cannot delete this template because it is a preceding task for another template (e.g., '${dependentTemplate.name}'). Please remove the dependency first.`
@@ -317,10 +415,19 @@ router.delete('/:id', protect, authorize(['Admin']), async (req, res) => {
     }
 
     await TaskTemplate.deleteOne({ _id: req.params.id });
+    await recordTemplateRevision({
+      templateSetId: template.templateSet,
+      action: 'DELETE_TEMPLATE',
+      summary: `Deleted template ${template.order} - ${template.name}.`,
+      user: req.user
+    });
 
     res.json({ message: 'Task template deleted successfully' });
   } catch (error) {
     console.error('Error deleting task template:', error);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
     if (error.kind === 'ObjectId') {
         return res.status(404).json({ message: 'Task template not found (invalid ID format)' });
     }
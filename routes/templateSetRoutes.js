@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const TemplateSet = require('../models/TemplateSet');
+const TaskTemplate = require('../models/TaskTemplate');
+const Buyer = require('../models/Buyer');
+const Season = require('../models/Season');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { recordTemplateRevision } = require('../utils/templateHistory');
+
+// @route   POST /api/template-sets
+// @desc    Create a template set, optionally copying all templates of another set (copyFromId)
+// @access  Admin
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+  const { name, description, copyFromId } = req.body;
+  if (!name) {
+    return res.status(400).json({ message: 'Template set name is required' });
+  }
+  try {
+    const existingSet = await TemplateSet.findOne({ name });
+    if (existingSet) {
+      return res.status(400).json({ message: `Template set '${name}' already exists.` });
+    }
+    const sourceSet = copyFromId ? await TemplateSet.resolve(copyFromId) : null;
+    if (sourceSet) {
+      await TemplateSet.assertNotChanging(sourceSet._id);
+    }
+
+    const templateSet = await TemplateSet.create({ name, description, createdBy: req.user.id });
+
+    if (sourceSet) {
+      const sourceTemplates = await TaskTemplate.find({ templateSet: sourceSet._id }).lean();
+      await TaskTemplate.insertMany(sourceTemplates.map(({ _id, createdAt, updatedAt, __v, ...template }) => ({
+        ...template,
+        templateSet: templateSet._id
+      })));
+    }
+    await recordTemplateRevision({
+      templateSetId: templateSet._id,
+      action: 'BASELINE',
+      summary: sourceSet ? `Copied from template set '${sourceSet.name}'.` : 'Template set created.',
+      user: req.user
+    });
+
+    res.status(201).json(templateSet);
+  } catch (error) {
+    console.error('Error creating template set:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while creating template set' });
+  }
+});
+
+// @route   GET /api/template-sets
+// @desc    Get all template sets with their template counts
+// @access  Authenticated Users
+router.get('/', protect, async (req, res) => {
+  try {
+    const [templateSets, counts] = await Promise.all([
+      TemplateSet.find().sort({ isDefault: -1, name: 1 }).lean(),
+      TaskTemplate.aggregate([{ $group: { _id: '$templateSet', count: { $sum: 1 } } }])
+    ]);
+    const countsBySet = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json(templateSets.map(set => ({ ...set, templateCount: countsBySet.get(String(set._id)) || 0 })));
+  } catch (error) {
+    console.error('Error fetching template sets:', error);
+    res.status(500).json({ message: 'Server error while fetching template sets' });
+  }
+});
+
+// @route   GET /api/template-sets/:id
+// @desc    Get a template set by ID
+// @access  Authenticated Users
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.findById(req.params.id);
+    if (!templateSet) {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+    res.json(templateSet);
+  } catch (error) {
+    console.error('Error fetching template set:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+    res.status(500).json({ message: 'Server error while fetching template set' });
+  }
+});
+
+// @route   PUT /api/template-sets/:id
+// @desc    Rename a template set or make it the default set
+// @access  Admin
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+  const { name, description, isDefault } = req.body;
+  try {
+    const templateSet = await TemplateSet.findById(req.params.id);
+    if (!templateSet) {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+
+    if (name && name !== templateSet.name) {
+      const existingSet = await TemplateSet.findOne({ name, _id: { $ne: templateSet._id } });
+      if (existingSet) {
+        return res.status(400).json({ message: `Template set '${name}' already exists.` });
+      }
+      templateSet.name = name;
+    }
+    if (description !== undefined) templateSet.description = description;
+
+    // There is always exactly one default set: it can only be replaced, not unset
+    if (isDefault === false && templateSet.isDefault) {
+      return res.status(400).json({ message: 'Make another template set the default instead.' });
+    }
+    if (isDefault === true && !templateSet.isDefault) {
+      await TemplateSet.updateMany({ isDefault: true }, { isDefault: false });
+      templateSet.isDefault = true;
+    }
+
+    await templateSet.save();
+    res.json(templateSet);
+  } catch (error) {
+    console.error('Error updating template set:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating template set' });
+  }
+});
+
+// @route   DELETE /api/template-sets/:id
+// @desc    Delete a template set and its templates
+// @access  Admin
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const templateSet = await TemplateSet.findById(req.params.id);
+    if (!templateSet) {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+    if (templateSet.isDefault) {
+      return res.status(400).json({ message: 'Cannot delete the default template set.' });
+    }
+    const buyerDependency = await Buyer.findOne({ defaultTemplateSet: templateSet._id });
+    if (buyerDependency) {
+      return res.status(400).json({ message: `Cannot delete template set. It is the default for buyer '${buyerDependency.name}'.` });
+    }
+    const openSeason = await Season.findOne({ templateSet: templateSet._id, status: 'Open' });
+    if (openSeason) {
+      return res.status(400).json({ message: `Cannot delete template set. Open season '${openSeason.name}' was created from it.` });
+    }
+
+    await TemplateSet.assertNotChanging(templateSet._id);
+    await TaskTemplate.deleteMany({ templateSet: templateSet._id });
+    await templateSet.deleteOne();
+    res.json({ message: 'Template set deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template set:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Template set not found' });
+    }
+    res.status(500).json({ message: 'Server error while deleting template set' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,31 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Department = require('../models/Department');
+const Season = require('../models/Season');
+const NotificationPreference = require('../models/NotificationPreference');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationDispatcher');
+
+// Helper function to load a user's notification preferences, creating the default (all events on) when missing
+async function loadNotificationPreference(userId) {
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true }
+  );
+  return preference.populate('mutedSeasons', 'name status');
+}
+
+// Helper function to describe notification preferences as { events: { [event]: enabled }, mutedSeasons }
+function formatNotificationPreference(preference) {
+  const events = {};
+  NOTIFICATION_EVENTS.forEach(event => {
+    events[event] = !preference.disabledEvents.includes(event);
+  });
+  return { events, mutedSeasons: preference.mutedSeasons };
+}
 
 // @route   GET /api/users/profile
 // @desc    Get current logged-in user's profile
@@ -22,14 +45,21 @@ router.get('/profile', protect, async (req, res) => {
 });
 
 // @route   PUT /api/users/profile/notifications
-// @desc    Update current user's email notification preference
+// @desc    Update current user's email notification preferences: { emailNotificationsEnabled?, digestFrequency? }
 // @access  Private (Authenticated users)
 router.put('/profile/notifications', protect, async (req, res) => {
-    const { emailNotificationsEnabled } = req.body;
+    const { emailNotificationsEnabled, digestFrequency } = req.body;
+    const digestFrequencies = User.schema.path('digestFrequency').enumValues;
 
-    if (typeof emailNotificationsEnabled !== 'boolean') {
+    if (emailNotificationsEnabled === undefined && digestFrequency === undefined) {
+        return res.status(400).json({ message: 'Provide emailNotificationsEnabled and/or digestFrequency.' });
+    }
+    if (emailNotificationsEnabled !== undefined && typeof emailNotificationsEnabled !== 'boolean') {
         return res.status(400).json({ message: 'Invalid value for emailNotificationsEnabled. Must be true or false.' });
     }
+    if (digestFrequency !== undefined && !digestFrequencies.includes(digestFrequency)) {
+        return res.status(400).json({ message: `Invalid value for digestFrequency. Must be one of: ${digestFrequencies.join(', ')}.` });
+    }
 
     try {
         const user = await User.findById(req.user.id);
@@ -37,12 +67,14 @@ router.put('/profile/notifications', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        user.emailNotificationsEnabled = emailNotificationsEnabled;
+        if (emailNotificationsEnabled !== undefined) user.emailNotificationsEnabled = emailNotificationsEnabled;
+        if (digestFrequency !== undefined) user.digestFrequency = digestFrequency;
         await user.save();
 
         res.json({ 
             message: 'Notification preference updated successfully.', 
-            emailNotificationsEnabled: user.emailNotificationsEnabled 
+            emailNotificationsEnabled: user.emailNotificationsEnabled,
+            digestFrequency: user.digestFrequency
         });
     } catch (error) {
         console.error('Update notification preference error:', error.message);
@@ -50,6 +82,96 @@ router.put('/profile/notifications', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/users/profile/notification-preferences
+// @desc    Get current user's email preferences per notification event and muted seasons
+// @access  Private (Authenticated users)
+router.get('/profile/notification-preferences', protect, async (req, res) => {
+  try {
+    const preference = await loadNotificationPreference(req.user.id);
+    res.json(formatNotificationPreference(preference));
+  } catch (error) {
+    console.error('Get notification preferences error:', error.message);
+    res.status(500).json({ message: 'Server error while fetching notification preferences' });
+  }
+});
+
+// @route   PUT /api/users/profile/notification-preferences
+// @desc    Update current user's notification preferences: { events?: { [event]: boolean }, mutedSeasons?: [seasonId] }
+// @access  Private (Authenticated users)
+router.put('/profile/notification-preferences', protect, async (req, res) => {
+  const { events, mutedSeasons } = req.body;
+
+  if (events !== undefined) {
+    if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+      return res.status(400).json({ message: 'events must be an object of event to true or false.' });
+    }
+    const invalidEvents = Object.keys(events).filter(event => !NOTIFICATION_EVENTS.includes(event) || typeof events[event] !== 'boolean');
+    if (invalidEvents.length > 0) {
+      return res.status(400).json({ message: `Invalid event preference(s): ${invalidEvents.join(', ')}. Events are ${NOTIFICATION_EVENTS.join(', ')}, set to true or false.` });
+    }
+  }
+  if (mutedSeasons !== undefined && (!Array.isArray(mutedSeasons) || mutedSeasons.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    return res.status(400).json({ message: 'mutedSeasons must be an array of season IDs.' });
+  }
+
+  try {
+    const preference = await loadNotificationPreference(req.user.id);
+
+    if (events !== undefined) {
+      const disabledEvents = new Set(preference.disabledEvents);
+      Object.entries(events).forEach(([event, enabled]) => {
+        if (enabled) disabledEvents.delete(event);
+        else disabledEvents.add(event);
+      });
+      preference.disabledEvents = NOTIFICATION_EVENTS.filter(event => disabledEvents.has(event));
+    }
+    if (mutedSeasons !== undefined) {
+      const seasons = await Season.find({ _id: { $in: mutedSeasons } }).select('_id');
+      if (seasons.length !== new Set(mutedSeasons.map(String)).size) {
+        return res.status(400).json({ message: 'One or more muted seasons were not found.' });
+      }
+      preference.mutedSeasons = seasons.map(season => season._id);
+    }
+
+    await preference.save();
+    await preference.populate('mutedSeasons', 'name status');
+    res.json({ message: 'Notification preferences updated successfully.', ...formatNotificationPreference(preference) });
+  } catch (error) {
+    console.error('Update notification preferences error:', error.message);
+    res.status(500).json({ message: 'Server error while updating notification preferences' });
+  }
+});
+
+// @route   PUT /api/users/profile/notification-preferences/seasons/:seasonId
+// @desc    Mute or unmute all emails about one season for the current user: { muted: boolean }
+// @access  Private (Authenticated users)
+router.put('/profile/notification-preferences/seasons/:seasonId', protect, async (req, res) => {
+  const { muted } = req.body;
+
+  if (typeof muted !== 'boolean') {
+    return res.status(400).json({ message: 'Invalid value for muted. Must be true or false.' });
+  }
+
+  try {
+    const season = await Season.findById(req.params.seasonId).select('name');
+    if (!season) {
+      return res.status(404).json({ message: 'Season not found' });
+    }
+
+    const update = muted ? { $addToSet: { mutedSeasons: season._id } } : { $pull: { mutedSeasons: season._id } };
+    await NotificationPreference.updateOne({ user: req.user.id }, update, { upsert: true });
+
+    const preference = await loadNotificationPreference(req.user.id);
+    res.json({ message: `Notifications for season ${season.name} ${muted ? 'muted' : 'unmuted'}.`, ...formatNotificationPreference(preference) });
+  } catch (error) {
+    console.error('Mute season notifications error:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Season not found' });
+    }
+    res.status(500).json({ message: 'Server error while updating notification preferences' });
+  }
+});
+
 // --- Admin Routes ---
 
 // @route   GET /api/users
@@ -6,6 +6,11 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const Setting = require('./models/Setting');
+const TemplateSet = require('./models/TemplateSet');
+const DelayReason = require('./models/DelayReason');
+const { ensureBaselineRevisions } = require('./utils/templateHistory');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
+const { startOutboxWorker } = require('./utils/emailOutbox');
 
 const app = express();
 
@@ -24,6 +29,9 @@ const taskRoutes = require('./routes/taskRoutes');
 const taskTemplateRoutes = require('./routes/taskTemplateRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const logRoutes = require('./routes/logRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const templateSetRoutes = require('./routes/templateSetRoutes');
+const delayReasonRoutes = require('./routes/delayReasonRoutes');
 
 // Basic Route
 app.get('/', (req, res) => {
@@ -41,6 +49,9 @@ app.use('/api/tasks', taskRoutes); // For general task operations like GET /api/
 app.use('/api/task-templates', taskTemplateRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/logs', logRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/template-sets', templateSetRoutes);
+app.use('/api/delay-reasons', delayReasonRoutes);
 
 
 // MongoDB Connection
@@ -50,6 +61,16 @@ mongoose.connect(MONGODB_URI)
   console.log('MongoDB Connected');
   // Initialize application settings
   Setting.initialize();
+  TemplateSet.initialize()
+    .then(ensureBaselineRevisions)
+    .catch(err => console.error('Template set initialization error:', err));
+  DelayReason.initialize()
+    .catch(err => console.error('Delay reason initialization error:', err));
+  // Sends the queued emails, with retries
+  startOutboxWorker();
+  // Background task reminders and escalations (see the reminderSchedule setting)
+  startReminderScheduler()
+    .catch(err => console.error('Reminder scheduler start error:', err));
 })
 .catch(err => console.error('MongoDB connection error:', err));
 
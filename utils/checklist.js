@@ -0,0 +1,53 @@
+/**
+ * Validates a list of checklist item labels as sent for templates and snapshot tasks.
+ * @param {*} labels - The proposed labels.
+ * @returns {string|null} - An error message, or null if the labels are valid.
+ */
+function validateChecklist(labels) {
+  if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim())) {
+    return 'Checklist must be an array of non-empty item labels.';
+  }
+  const trimmedLabels = labels.map(label => label.trim());
+  const duplicates = trimmedLabels.filter((label, index) => trimmedLabels.indexOf(label) !== index);
+  if (duplicates.length > 0) {
+    return `Checklist items must be unique. Duplicate item(s): ${[...new Set(duplicates)].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Builds unticked snapshot checklist items from labels.
+ * @param {Array<string>} labels - The checklist item labels.
+ * @returns {Array} - Plain checklist item objects.
+ */
+function buildChecklist(labels = []) {
+  return labels.map(label => ({ label: label.trim(), isChecked: false, checkedBy: null, checkedAt: null }));
+}
+
+/**
+ * Replaces the items of a snapshot checklist by the given labels. Items whose label is kept
+ * keep their ticks, so a template change does not undo sign-offs already given.
+ * @param {Array} checklist - The current snapshot checklist items.
+ * @param {Array<string>} labels - The new checklist item labels.
+ * @returns {Array} - Plain checklist item objects.
+ */
+function mergeChecklist(checklist = [], labels = []) {
+  const itemsByLabel = new Map(checklist.map(item => [item.label, item.toObject ? item.toObject() : item]));
+  return buildChecklist(labels).map(item => itemsByLabel.get(item.label) || item);
+}
+
+/**
+ * Returns the checklist items of a task that still have to be ticked.
+ * @param {Object} task - The snapshot task.
+ * @returns {Array} - The unticked checklist items.
+ */
+function getOpenChecklistItems(task) {
+  return (task.checklist || []).filter(item => !item.isChecked);
+}
+
+module.exports = {
+  validateChecklist,
+  buildChecklist,
+  mergeChecklist,
+  getOpenChecklistItems,
+};
@@ -0,0 +1,132 @@
+const { topologicalSort, getDependencyLinks } = require('./dependencyGraph');
+const { nextWorkingDay, addWorkingDays, previousWorkingDay, subtractWorkingDays } = require('./workingCalendar');
+
+// Builds the activity network used by the forward and backward passes, in topological order.
+function buildNetwork(tasks) {
+  const sortedTasks = topologicalSort(tasks);
+  const successors = new Map(sortedTasks.map(t => [t.order, []]));
+  const nodes = new Map();
+
+  sortedTasks.forEach(task => {
+    // Skipped tasks and tasks from inactive templates (completed without a date) take no time
+    const notApplicable = task.status === 'completed' && !task.actualCompletion;
+    const links = getDependencyLinks(task.precedingTasks, task.dependencyLinks).filter(link => successors.has(link.order));
+    nodes.set(task.order, { task, links, duration: notApplicable ? 0 : task.leadTime, es: 0, ef: 0, ls: 0, lf: 0 });
+    links.forEach(link => successors.get(link.order).push({ order: task.order, type: link.type, lag: link.lag }));
+  });
+
+  return { sortedTasks, successors, nodes };
+}
+
+// Backward pass: latest finish is the earliest constraint imposed by the successors,
+// tasks without successors must finish by `finishOffset`.
+function runBackwardPass({ sortedTasks, successors, nodes }, finishOffset) {
+  [...sortedTasks].reverse().forEach(task => {
+    const node = nodes.get(task.order);
+    node.lf = finishOffset;
+    successors.get(task.order).forEach(succ => {
+      const succNode = nodes.get(succ.order);
+      let latestFinish;
+      if (succ.type === 'FS') {
+        latestFinish = succNode.ls - succ.lag;
+      } else if (succ.type === 'SS') {
+        latestFinish = succNode.ls - succ.lag + node.duration;
+      } else {
+        latestFinish = Math.min(succNode.lf - succ.lag, succNode.ls + node.duration);
+      }
+      if (latestFinish < node.lf) node.lf = latestFinish;
+    });
+    node.ls = node.lf - node.duration;
+  });
+}
+
+/**
+ * Runs a critical-path analysis (forward and backward pass) over a snapshot's task graph.
+ * Durations are the planned lead times in working days; tasks completed without an actual
+ * completion date (e.g. created from inactive templates) do not apply and count as zero days.
+ * FS, SS and FF dependency links and their lags are honoured in both passes.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @param {Date} projectStart - The date the schedule starts from (usually the season creation date).
+ * @param {Object} [calendar] - The company calendar from workingCalendar.loadCalendar().
+ * @returns {Object} - { projectStart, projectFinish, duration, criticalPath, tasks }
+ */
+function analyzeCriticalPath(tasks, projectStart, calendar) {
+  const network = buildNetwork(tasks);
+  const { sortedTasks, nodes } = network;
+
+  // Forward pass: earliest start is the latest constraint imposed by the predecessors.
+  let projectDuration = 0;
+  sortedTasks.forEach(task => {
+    const node = nodes.get(task.order);
+    node.links.forEach(link => {
+      const predNode = nodes.get(link.order);
+      let earliestStart;
+      if (link.type === 'FS') {
+        earliestStart = predNode.ef + link.lag;
+      } else if (link.type === 'SS') {
+        earliestStart = predNode.es + link.lag;
+      } else {
+        // FF: cannot start before the predecessor starts nor finish before it finishes (plus lag)
+        earliestStart = Math.max(predNode.es, predNode.ef + link.lag - node.duration);
+      }
+      if (earliestStart > node.es) node.es = earliestStart;
+    });
+    node.ef = node.es + node.duration;
+    projectDuration = Math.max(projectDuration, node.ef);
+  });
+
+  runBackwardPass(network, projectDuration);
+
+  // Offsets are counted in working days from the first working day of the schedule.
+  const firstWorkingDay = nextWorkingDay(projectStart, calendar);
+  const offsetToDate = offset => addWorkingDays(firstWorkingDay, offset, calendar);
+
+  const analyzedTasks = sortedTasks.map(task => {
+    const node = nodes.get(task.order);
+    const totalFloat = node.ls - node.es;
+    return {
+      _id: task._id,
+      order: task.order,
+      name: task.name,
+      leadTime: node.duration,
+      status: task.status,
+      earliestStart: offsetToDate(node.es),
+      earliestFinish: offsetToDate(node.ef),
+      latestStart: offsetToDate(node.ls),
+      latestFinish: offsetToDate(node.lf),
+      totalFloat,
+      isCritical: totalFloat === 0 && node.duration > 0
+    };
+  });
+
+  return {
+    projectStart: firstWorkingDay,
+    projectFinish: offsetToDate(projectDuration),
+    duration: projectDuration,
+    criticalPath: analyzedTasks.filter(t => t.isCritical).map(t => t.order),
+    tasks: analyzedTasks
+  };
+}
+
+/**
+ * Backward-schedules a snapshot from a required delivery date: sets `latestDates` on every task
+ * to the latest start and end that still allow the season to finish by that date.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @param {Date} targetDate - The required ex-factory/delivery date.
+ * @param {Object} [calendar] - The company calendar from workingCalendar.loadCalendar().
+ */
+function calculateLatestDates(tasks, targetDate, calendar) {
+  const network = buildNetwork(tasks);
+  runBackwardPass(network, 0);
+
+  // Offsets are zero or negative working days before the last working day on or before the target.
+  const lastWorkingDay = previousWorkingDay(targetDate, calendar);
+  const offsetToDate = offset => subtractWorkingDays(lastWorkingDay, -offset, calendar);
+
+  network.sortedTasks.forEach(task => {
+    const node = network.nodes.get(task.order);
+    task.latestDates = { start: offsetToDate(node.ls), end: offsetToDate(node.lf) };
+  });
+}
+
+module.exports = { analyzeCriticalPath, calculateLatestDates };
@@ -0,0 +1,296 @@
+// Finish-to-start, start-to-start and finish-to-finish relationships
+const DEPENDENCY_TYPES = ['FS', 'SS', 'FF'];
+
+/**
+ * Returns the typed dependency links of a task, one per preceding order code.
+ * Predecessors without an explicit link are finish-to-start with zero lag.
+ * @param {Array<string>} precedingTasks - The preceding 'order' codes.
+ * @param {Array} [dependencyLinks] - Explicit links as { order, type, lag }.
+ * @returns {Array} - Links as { order, type, lag }.
+ */
+function getDependencyLinks(precedingTasks, dependencyLinks) {
+  const linksByOrder = new Map((dependencyLinks || []).map(link => [link.order, link]));
+  return (precedingTasks || []).map(order => {
+    const link = linksByOrder.get(order);
+    return {
+      order,
+      type: link && link.type ? link.type : 'FS',
+      lag: link && link.lag ? link.lag : 0
+    };
+  });
+}
+
+/**
+ * Formats preceding tasks with their dependency type and lag, e.g. "A, B (SS+2)".
+ * @param {Array<string>} precedingTasks - The preceding 'order' codes.
+ * @param {Array} [dependencyLinks] - Explicit links as { order, type, lag }.
+ * @returns {string} - The formatted list (empty string if there are no predecessors).
+ */
+function formatDependencies(precedingTasks, dependencyLinks) {
+  return getDependencyLinks(precedingTasks, dependencyLinks)
+    .map(link => {
+      if (link.type === 'FS' && !link.lag) return link.order;
+      return `${link.order} (${link.type}${link.lag ? `+${link.lag}` : ''})`;
+    })
+    .join(', ');
+}
+
+/**
+ * Parses a dependency list in the format produced by formatDependencies, e.g. "A, B (SS+2)".
+ * @param {string} text - The formatted list (empty for no predecessors).
+ * @returns {Object} - { precedingTasks, dependencyLinks, errors } where links are only kept for non-default relationships.
+ */
+function parseDependencies(text) {
+  const precedingTasks = [];
+  const dependencyLinks = [];
+  const errors = [];
+
+  (text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^([A-Z]+)(?:\s*\((FS|SS|FF)(?:\s*\+\s*(\d+))?\))?$/);
+    if (!match) {
+      errors.push(`Invalid preceding task '${part}'. Use order codes such as "A" or "B (SS+2)".`);
+      return;
+    }
+    const [, order, type = 'FS', lag = '0'] = match;
+    if (precedingTasks.includes(order)) {
+      errors.push(`Preceding task '${order}' is listed more than once.`);
+      return;
+    }
+    precedingTasks.push(order);
+    if (type !== 'FS' || Number(lag) > 0) {
+      dependencyLinks.push({ order, type, lag: Number(lag) });
+    }
+  });
+
+  return { precedingTasks, dependencyLinks, errors };
+}
+
+/**
+ * Removes a task from the dependency graph: every dependent inherits the removed task's
+ * predecessors (with their links) in place of the removed task.
+ * @param {Array} tasks - Snapshot tasks with `order`, `precedingTasks` and `dependencyLinks`.
+ * @param {Object} removedTask - The task being removed.
+ * @returns {Array<string>} - The order codes of the re-wired dependents.
+ */
+function rewireDependents(tasks, removedTask) {
+  const inheritedLinks = getDependencyLinks(removedTask.precedingTasks, removedTask.dependencyLinks);
+  const rewiredOrders = [];
+
+  tasks.forEach(dependent => {
+    if (dependent === removedTask || !(dependent.precedingTasks || []).includes(removedTask.order)) return;
+
+    const remainingPreceding = dependent.precedingTasks.filter(predOrder => predOrder !== removedTask.order);
+    const remainingLinks = (dependent.dependencyLinks || [])
+      .filter(link => link.order !== removedTask.order)
+      .map(link => (link.toObject ? link.toObject() : link));
+    inheritedLinks.forEach(link => {
+      if (remainingPreceding.includes(link.order)) return;
+      remainingPreceding.push(link.order);
+      if (link.type !== 'FS' || link.lag) remainingLinks.push(link);
+    });
+
+    dependent.precedingTasks = remainingPreceding;
+    dependent.dependencyLinks = remainingLinks;
+    rewiredOrders.push(dependent.order);
+  });
+
+  return rewiredOrders;
+}
+
+/**
+ * Validates explicit dependency links against the list of preceding order codes.
+ * @param {Array} dependencyLinks - Links as { order, type, lag }.
+ * @param {Array<string>} precedingTasks - The preceding 'order' codes.
+ * @returns {Array<string>} - Validation error messages (empty if valid).
+ */
+function validateDependencyLinks(dependencyLinks, precedingTasks) {
+  if (!Array.isArray(dependencyLinks)) {
+    return ['Dependency links must be an array.'];
+  }
+
+  const errors = [];
+  const seenOrders = new Set();
+  const precedingSet = new Set(precedingTasks || []);
+
+  dependencyLinks.forEach(link => {
+    if (!link || typeof link.order !== 'string') {
+      errors.push('Each dependency link requires an order code.');
+      return;
+    }
+    if (!precedingSet.has(link.order)) {
+      errors.push(`Dependency link '${link.order}' is not one of the preceding tasks.`);
+    }
+    if (seenOrders.has(link.order)) {
+      errors.push(`Duplicate dependency link for '${link.order}'.`);
+    }
+    seenOrders.add(link.order);
+    if (link.type !== undefined && !DEPENDENCY_TYPES.includes(link.type)) {
+      errors.push(`Invalid dependency type '${link.type}' for '${link.order}'. Allowed: ${DEPENDENCY_TYPES.join(', ')}.`);
+    }
+    if (link.lag !== undefined && (!Number.isInteger(link.lag) || link.lag < 0)) {
+      errors.push(`Lag for '${link.order}' must be a whole number of days (0 or more).`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Compares Excel-style order codes (A, B, ..., Z, AA, AB, ...).
+ * @param {string} a - The first order code.
+ * @param {string} b - The second order code.
+ * @returns {number}
+ */
+function compareOrderCodes(a, b) {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Returns the Excel-style order code at a zero-based position (0 = A, 25 = Z, 26 = AA, ...).
+ * @param {number} index - The zero-based position.
+ * @returns {string}
+ */
+function toOrderCode(index) {
+  let code = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const letter = (remaining - 1) % 26;
+    code = String.fromCharCode(65 + letter) + code;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return code;
+}
+
+/**
+ * Rewrites order code references in preceding tasks and dependency links.
+ * @param {Array<string>} precedingTasks - The preceding 'order' codes.
+ * @param {Array} dependencyLinks - Links as { order, type, lag }.
+ * @param {Object} mapping - Old order code to new order code; codes not in the mapping are kept.
+ * @returns {Object} - { precedingTasks, dependencyLinks }
+ */
+function renameDependencies(precedingTasks, dependencyLinks, mapping) {
+  const rename = order => mapping[order] || order;
+  return {
+    precedingTasks: (precedingTasks || []).map(rename),
+    dependencyLinks: (dependencyLinks || []).map(link => ({ order: rename(link.order), type: link.type, lag: link.lag }))
+  };
+}
+
+/**
+ * Finds a circular dependency among tasks with a depth-first search.
+ * @param {Array} tasks - Tasks with `order` and `precedingTasks` (array of order codes).
+ * @returns {Array<string>|null} - The cycle in dependency order with the first code repeated at the end
+ *   (e.g. ['A', 'C', 'B', 'A'] means A precedes C, C precedes B and B precedes A), or null if there is none.
+ */
+function findCycle(tasks) {
+  const predecessorsByOrder = new Map(tasks.map(t => [t.order, [...new Set(t.precedingTasks || [])]]));
+  const state = new Map(); // 'visiting' while on the current path, 'done' once fully explored
+  const path = [];
+
+  const visit = (order) => {
+    state.set(order, 'visiting');
+    path.push(order);
+    for (const predOrder of predecessorsByOrder.get(order)) {
+      if (!predecessorsByOrder.has(predOrder)) continue;
+      if (state.get(predOrder) === 'visiting') {
+        // The path runs from dependents to predecessors; reverse it to read in dependency order
+        return [...path.slice(path.indexOf(predOrder)), predOrder].reverse();
+      }
+      if (!state.has(predOrder)) {
+        const cycle = visit(predOrder);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(order, 'done');
+    return null;
+  };
+
+  for (const order of [...predecessorsByOrder.keys()].sort(compareOrderCodes)) {
+    if (!state.has(order)) {
+      const cycle = visit(order);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Sorts tasks so that every task comes after all of its preceding tasks (Kahn's algorithm).
+ * Ties are broken by order code so the result is stable. Predecessors that are not part
+ * of the task list are ignored.
+ * @param {Array} tasks - Tasks with `order` and `precedingTasks` (array of order codes).
+ * @returns {Array} - The tasks in topological order.
+ */
+function topologicalSort(tasks) {
+  const tasksByOrder = new Map(tasks.map(t => [t.order, t]));
+  const inDegree = new Map();
+  const successors = new Map();
+
+  tasks.forEach(task => {
+    inDegree.set(task.order, 0);
+    successors.set(task.order, []);
+  });
+  tasks.forEach(task => {
+    const predecessors = [...new Set(task.precedingTasks || [])].filter(predOrder => tasksByOrder.has(predOrder));
+    inDegree.set(task.order, predecessors.length);
+    predecessors.forEach(predOrder => successors.get(predOrder).push(task.order));
+  });
+
+  let ready = tasks.filter(t => inDegree.get(t.order) === 0).map(t => t.order).sort(compareOrderCodes);
+  const sorted = [];
+
+  while (ready.length > 0) {
+    const order = ready.shift();
+    sorted.push(tasksByOrder.get(order));
+    successors.get(order).forEach(succOrder => {
+      inDegree.set(succOrder, inDegree.get(succOrder) - 1);
+      if (inDegree.get(succOrder) === 0) {
+        ready.push(succOrder);
+      }
+    });
+    ready.sort(compareOrderCodes);
+  }
+
+  if (sorted.length !== tasks.length) {
+    const cyclePath = findCycle(tasks);
+    const error = new Error(`Circular dependency detected: ${cyclePath.join(' → ')}.`);
+    error.status = 400;
+    error.cyclePath = cyclePath;
+    throw error;
+  }
+
+  return sorted;
+}
+
+/**
+ * Sorts tasks for display in dependency order (see topologicalSort). Falls back to
+ * order code sorting if the graph contains a cycle, so listings never fail.
+ * @param {Array} tasks - Tasks with `order` and `precedingTasks`.
+ * @returns {Array} - A new, sorted array.
+ */
+function sortByDependencyOrder(tasks) {
+  try {
+    return topologicalSort(tasks);
+  } catch (error) {
+    return [...tasks].sort((a, b) => compareOrderCodes(a.order, b.order));
+  }
+}
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  getDependencyLinks,
+  formatDependencies,
+  parseDependencies,
+  rewireDependents,
+  validateDependencyLinks,
+  compareOrderCodes,
+  toOrderCode,
+  renameDependencies,
+  findCycle,
+  topologicalSort,
+  sortByDependencyOrder,
+};
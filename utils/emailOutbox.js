@@ -0,0 +1,142 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { sendEmail } = require('./emailService');
+
+// Delay before the first retry, doubled after every failed attempt up to the maximum
+const RETRY_BASE_DELAY_MINUTES = 1;
+const RETRY_MAX_DELAY_MINUTES = 60;
+// How often the worker looks for due emails; new emails wake it up right away
+const WORKER_INTERVAL_SECONDS = 30;
+// A lock older than this belongs to a run that died (e.g. a restart while sending)
+const LOCK_TIMEOUT_MINUTES = 10;
+// Emails sent per run at most, so one run does not hold the worker forever
+const BATCH_SIZE = 100;
+
+let workerTimer = null;
+let isRunning = false;
+let runAgain = false;
+
+/**
+ * Returns the delay before the next attempt after a failed one.
+ * @param {number} attempts - The attempts made so far (at least 1).
+ * @returns {number} - The delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+  const minutes = Math.min(RETRY_BASE_DELAY_MINUTES * 2 ** (attempts - 1), RETRY_MAX_DELAY_MINUTES);
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Queues an email for the outbox worker; the caller does not wait for the SMTP server.
+ * @param {Object} email
+ * @param {string} [email.seasonId] - The season the email is about, if any.
+ * @param {string} email.to - The recipient's email address.
+ * @param {string} email.subject - The subject of the email.
+ * @param {string} email.html - The HTML body of the email.
+ * @returns {Promise<Object>} - The EmailOutbox document.
+ */
+async function enqueueEmail({ seasonId = null, to, subject, html }) {
+  const email = await EmailOutbox.create({ season: seasonId, recipient: to, subject, html });
+  wakeOutboxWorker();
+  return email;
+}
+
+// Claims the next due email, so parallel runs never send it twice
+function claimNextEmail(now) {
+  return EmailOutbox.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000) } }]
+    },
+    { lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Sends the queued emails that are due. A failed email is retried with exponential backoff and
+ * becomes 'dead' after maxAttempts attempts.
+ * @param {Date} [now] - The time of the run.
+ * @returns {Promise<Object>} - { sent, failed, dead }
+ */
+async function processOutbox(now = new Date()) {
+  const result = { sent: 0, failed: 0, dead: 0 };
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const email = await claimNextEmail(now);
+    if (!email) break;
+
+    email.attempts++;
+    email.lockedAt = null;
+    try {
+      await sendEmail({ seasonId: email.season, to: email.recipient, subject: email.subject, html: email.html });
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.lastError = undefined;
+      result.sent++;
+    } catch (error) {
+      // Already recorded as failed in the EmailLog
+      email.lastError = error.message;
+      if (email.attempts >= email.maxAttempts) {
+        email.status = 'dead';
+        result.dead++;
+      } else {
+        email.status = 'failed';
+        email.nextAttemptAt = new Date(now.getTime() + getRetryDelay(email.attempts));
+        result.failed++;
+      }
+    }
+    await email.save();
+  }
+  return result;
+}
+
+// Processes the outbox unless a run is in progress; a wake-up during a run starts another one after it
+async function runOutboxWorker() {
+  if (isRunning) {
+    runAgain = true;
+    return;
+  }
+  isRunning = true;
+  try {
+    do {
+      runAgain = false;
+      const { sent, failed, dead } = await processOutbox(new Date());
+      if (failed > 0 || dead > 0) {
+        console.log(`Email outbox: ${sent} sent, ${failed} to retry, ${dead} given up.`);
+      }
+    } while (runAgain);
+  } catch (error) {
+    console.error('Email outbox error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Makes the outbox worker send the queued emails now instead of at its next interval.
+ * Does nothing until the worker is started.
+ */
+function wakeOutboxWorker() {
+  if (workerTimer) {
+    setImmediate(runOutboxWorker);
+  }
+}
+
+/**
+ * Starts the background outbox worker: sends the queued emails now and then every
+ * WORKER_INTERVAL_SECONDS, and whenever an email is queued.
+ */
+function startOutboxWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runOutboxWorker, WORKER_INTERVAL_SECONDS * 1000);
+  console.log(`Email outbox worker started (every ${WORKER_INTERVAL_SECONDS} second(s)).`);
+  runOutboxWorker();
+}
+
+module.exports = {
+  getRetryDelay,
+  enqueueEmail,
+  processOutbox,
+  wakeOutboxWorker,
+  startOutboxWorker,
+};
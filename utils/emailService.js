@@ -11,33 +11,36 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Records an email in the EmailLog; a failed write is only logged, as the email itself was handled
+async function logEmail(entry) {
+  try {
+    await EmailLog.create(entry);
+  } catch (error) {
+    console.error('Error writing email log:', error);
+  }
+}
+
 /**
- * Sends an email.
+ * Sends an email right away and records the attempt in the EmailLog. Notifications are queued
+ * with enqueueEmail (utils/emailOutbox) instead, whose worker calls this.
+ * Only a failed send throws; the email counts as sent even if its EmailLog entry cannot be written.
+ * @param {string} [seasonId] - The season the email is about, if any (for the EmailLog).
  * @param {string} to - The recipient's email address.
  * @param {string} subject - The subject of the email.
  * @param {string} html - The HTML body of the email.
  */
-const sendEmail = async ({ seasonId, to, subject, html }) => {
-    try {
-    const info = await transporter.sendMail({
+const sendEmail = async ({ seasonId = null, to, subject, html }) => {
+  let info;
+  try {
+    info = await transporter.sendMail({
       from: `"PRODUCTION Timeline" <${process.env.EMAIL_FROM}>`,
       to,
       subject,
       html,
     });
-
-    console.log('Message sent: %s', info.messageId);
-    await EmailLog.create({
-      season: seasonId,
-      recipient: to,
-      subject,
-      status: 'sent',
-    });
-
-    return info;
   } catch (error) {
     console.error('Error sending email:', error);
-    await EmailLog.create({
+    await logEmail({
       season: seasonId,
       recipient: to,
       subject,
@@ -48,6 +51,15 @@ const sendEmail = async ({ seasonId, to, subject, html }) => {
     // but the failure is now logged.
     throw new Error(`Failed to send email to ${to}: ${error.message}`);
   }
+
+  console.log('Message sent: %s', info.messageId);
+  await logEmail({
+    season: seasonId,
+    recipient: to,
+    subject,
+    status: 'sent',
+  });
+  return info;
 };
 
 module.exports = { sendEmail };
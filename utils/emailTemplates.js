@@ -0,0 +1,251 @@
+const EmailTemplate = require('../models/EmailTemplate');
+
+// Template keys, kept in sync with the EmailTemplate schema
+const EMAIL_TEMPLATE_KEYS = EmailTemplate.schema.path('key').enumValues;
+
+// Placeholders every template can use: the recipient's first name and the shared footer
+const COMMON_PLACEHOLDERS = ['firstName', 'footer'];
+
+// Built-in templates, used until a version is saved. Placeholders are {{name}} (HTML-escaped)
+// or {{{name}}} (inserted as is, for HTML such as the footer or the digest tables).
+const DEFAULT_EMAIL_TEMPLATES = {
+  FOOTER: {
+    placeholders: [],
+    subject: '',
+    html: `
+    <p>Thank you,</p>
+    <p>PRODUCTION Timeline System</p>
+    <p style="font-size:10px;color:#666;">Copyright © 2025 GLENSON_ENCODE SYSTEMS</p>`
+  },
+  TASK_ACTIONABLE: {
+    placeholders: ['seasonName', 'taskName', 'departments', 'dueDate', 'link'],
+    subject: 'Action Required: Task "{{taskName}}" for Season {{seasonName}}',
+    html: `
+    <p>Hello,</p>
+    <p>A new task now requires your department's attention for the season: <strong style="color:red;">{{seasonName}}</strong>.</p>
+    <p>Task: <strong style="color:red;">{{taskName}}</strong></p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  APPROVAL_REQUESTED: {
+    placeholders: ['seasonName', 'taskName', 'proposedDate', 'evidence', 'link'],
+    subject: 'Approval Required: Task "{{taskName}}" for Season {{seasonName}}',
+    html: `
+    <p>Hello,</p>
+    <p>Completion of task <strong style="color:red;">{{taskName}}</strong> on {{proposedDate}} was submitted for your approval in the season: <strong style="color:red;">{{seasonName}}</strong>.</p>
+    <p>Evidence: {{evidence}}</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  COMPLETION_REJECTED: {
+    placeholders: ['seasonName', 'taskName', 'reason', 'link'],
+    subject: 'Completion Rejected: Task "{{taskName}}" for Season {{seasonName}}',
+    html: `
+    <p>Hello,</p>
+    <p>The completion you submitted for task <strong style="color:red;">{{taskName}}</strong> in the season <strong style="color:red;">{{seasonName}}</strong> was rejected.</p>
+    <p>Reason: {{reason}}</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  ATTENTION_REMINDER: {
+    placeholders: ['seasonName', 'taskNames', 'link'],
+    subject: 'REMINDER: Action Required for Season: {{seasonName}}',
+    html: `
+    <p>Hello,</p>
+    <p>This is a reminder that your attention is required for the season: <strong style="color:red;">{{seasonName}}</strong>.</p>
+    <p>The following task(s) are ready for your department's action: <strong style="color:red;">{{taskNames}}</strong>.</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details and take the necessary actions.</p>
+    {{{footer}}}`
+  },
+  DUE_SOON: {
+    placeholders: ['seasonName', 'taskName', 'departments', 'dueDate', 'link'],
+    subject: 'REMINDER: Task "{{taskName}}" for Season {{seasonName}} is due on {{dueDate}}',
+    html: `
+    <p>Hello,</p>
+    <p>Task <strong style="color:red;">{{taskName}}</strong> ({{departments}}) in the season <strong style="color:red;">{{seasonName}}</strong> is due on {{dueDate}}.</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  OVERDUE: {
+    placeholders: ['seasonName', 'taskName', 'departments', 'dueDate', 'dueLabel', 'link'],
+    subject: '{{dueLabel}}: Task "{{taskName}}" for Season {{seasonName}}',
+    html: `
+    <p>Hello,</p>
+    <p>Task <strong style="color:red;">{{taskName}}</strong> ({{departments}}) in the season <strong style="color:red;">{{seasonName}}</strong> was due on {{dueDate}} and is not completed yet.</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  ESCALATION: {
+    placeholders: ['seasonName', 'taskName', 'departments', 'dueDate', 'daysOverdue', 'link'],
+    subject: 'ESCALATION: Task "{{taskName}}" for Season {{seasonName}} is {{daysOverdue}} overdue',
+    html: `
+    <p>Hello,</p>
+    <p>Task <strong style="color:red;">{{taskName}}</strong> ({{departments}}) in the season <strong style="color:red;">{{seasonName}}</strong> was due on {{dueDate}} and is {{daysOverdue}} overdue.</p>
+    <p>This escalation is sent to you because the responsible department has not completed it.</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  SEASON_STATUS: {
+    placeholders: ['seasonName', 'oldStatus', 'newStatus', 'statusNote', 'link'],
+    subject: 'Season {{seasonName}} is now {{newStatus}}',
+    html: `
+    <p>Hello,</p>
+    <p>The status of the season <strong style="color:red;">{{seasonName}}</strong> changed from "{{oldStatus}}" to "{{newStatus}}"{{statusNote}}.</p>
+    <p>Please <a href="{{link}}">click here</a> to view the season details.</p>
+    {{{footer}}}`
+  },
+  DIGEST: {
+    placeholders: ['period', 'departmentName', 'overdueCount', 'dueSoonCount', 'newCount', 'tasks'],
+    subject: '{{period}} task digest: {{overdueCount}} overdue, {{dueSoonCount}} due soon, {{newCount}} new',
+    html: `
+    <p>Hello {{firstName}},</p>
+    <p>Here is the summary of the tasks of the {{departmentName}} department in the open seasons.</p>
+    {{{tasks}}}
+    {{{footer}}}`
+  },
+};
+
+// Values used to preview templates
+const SAMPLE_DATA = {
+  firstName: 'Alex',
+  seasonName: 'SS27 Knitwear',
+  taskName: 'Lab dip approval',
+  taskNames: 'Lab dip approval, Fit sample',
+  departments: 'PD, QA',
+  dueDate: '24-Oct-26',
+  dueLabel: 'OVERDUE',
+  daysOverdue: '3 days',
+  proposedDate: '23-Oct-26',
+  evidence: 'Signed lab dip card attached',
+  reason: 'Shade does not match the standard',
+  oldStatus: 'Open',
+  newStatus: 'Closed',
+  statusNote: ' automatically, as all tasks are completed',
+  period: 'Daily',
+  departmentName: 'PD',
+  overdueCount: 1,
+  dueSoonCount: 1,
+  newCount: 0,
+  tasks: `
+    <h3>Overdue (1)</h3>
+    <table border="1" cellspacing="0" style="border-collapse:collapse;font-size:13px;">
+      <tr><td style="padding:4px 8px;">SS27 Knitwear</td><td style="padding:4px 8px;">A10 - Lab dip approval</td><td style="padding:4px 8px;">21-Oct-26</td></tr>
+    </table>`,
+};
+
+/**
+ * Builds the link to a season in the client application.
+ * @param {string} seasonId - The season ID.
+ * @returns {string}
+ */
+function seasonLink(seasonId) {
+  return `${process.env.CLIENT_URL}/seasons/${seasonId}`;
+}
+
+// Escapes a value for HTML; used for {{name}} placeholders and HTML built for {{{name}}} placeholders
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replaces the placeholders of a template text; missing values render as empty text.
+ * @param {string} text - The template text.
+ * @param {Object} data - The placeholder values.
+ * @param {boolean} [isHtml] - Whether {{name}} values are HTML-escaped (false for subjects).
+ * @returns {string}
+ */
+function renderTemplateString(text, data, isHtml = true) {
+  const valueOf = name => String(data[name] === undefined || data[name] === null ? '' : data[name]);
+  // One pass over the template, so placeholder-like text inside inserted values is left as is
+  return (text || '').replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawName, name) => (
+    rawName || !isHtml ? valueOf(rawName || name) : escapeHtml(valueOf(name))
+  ));
+}
+
+/**
+ * Lists the placeholders a template key can use.
+ * @param {string} key - The template key.
+ * @returns {Array<string>}
+ */
+function getTemplatePlaceholders(key) {
+  return key === 'FOOTER' ? ['firstName'] : [...DEFAULT_EMAIL_TEMPLATES[key].placeholders, ...COMMON_PLACEHOLDERS];
+}
+
+/**
+ * Validates a template version before it is saved or previewed.
+ * @param {string} key - The template key.
+ * @param {Object} template - { subject, html }
+ * @returns {string|null} - An error message, or null if the template is valid.
+ */
+function validateEmailTemplate(key, { subject, html }) {
+  if (!EMAIL_TEMPLATE_KEYS.includes(key)) {
+    return `Unknown email template '${key}'. Templates are ${EMAIL_TEMPLATE_KEYS.join(', ')}.`;
+  }
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'Template HTML is required.';
+  }
+  if (subject !== undefined && typeof subject !== 'string') {
+    return 'Template subject must be text.';
+  }
+  if (key !== 'FOOTER' && (!subject || !subject.trim())) {
+    return 'Template subject is required.';
+  }
+
+  const allowed = getTemplatePlaceholders(key);
+  const used = [...`${subject || ''} ${html}`.matchAll(/\{\{\{?\s*(\w+)\s*\}?\}\}/g)].map(match => match[1]);
+  const unknown = [...new Set(used.filter(name => !allowed.includes(name)))];
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.join(', ')}. This template can use: ${allowed.join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Loads the template version in use for a key, or the built-in default when none was saved.
+ * @param {string} key - The template key.
+ * @returns {Promise<Object>} - { key, version (0 for the default), subject, html, isDefault }
+ */
+async function loadEmailTemplate(key) {
+  const template = await EmailTemplate.findOne({ key }).sort({ version: -1 });
+  if (template) {
+    return { key, version: template.version, subject: template.subject, html: template.html, isDefault: false };
+  }
+  const { subject, html } = DEFAULT_EMAIL_TEMPLATES[key];
+  return { key, version: 0, subject, html, isDefault: true };
+}
+
+/**
+ * Prepares a template for rendering, with the footer in use.
+ * @param {string} key - The template key.
+ * @param {Object} [draft] - { subject, html } to render instead of the version in use (for previews).
+ * @returns {Promise<Function>} - (data) => { subject, html }
+ */
+async function compileEmailTemplate(key, draft) {
+  const template = draft || await loadEmailTemplate(key);
+  const footer = key === 'FOOTER' ? { html: '' } : await loadEmailTemplate('FOOTER');
+  return data => {
+    const values = { ...data, footer: renderTemplateString(footer.html, data) };
+    return {
+      subject: renderTemplateString(template.subject, values, false),
+      html: renderTemplateString(template.html, values)
+    };
+  };
+}
+
+module.exports = {
+  EMAIL_TEMPLATE_KEYS,
+  DEFAULT_EMAIL_TEMPLATES,
+  SAMPLE_DATA,
+  seasonLink,
+  escapeHtml,
+  renderTemplateString,
+  getTemplatePlaceholders,
+  validateEmailTemplate,
+  loadEmailTemplate,
+  compileEmailTemplate,
+};
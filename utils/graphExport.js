@@ -0,0 +1,154 @@
+const { getDependencyLinks, topologicalSort } = require('./dependencyGraph');
+
+// Fill colours per node status, shared by the DOT and Mermaid output
+const STATUS_COLORS = {
+  pending: '#FFFFFF',
+  active: '#FFFFFF',
+  pending_approval: '#FFEB9C',
+  completed: '#C6EFCE',
+  skipped: '#EDEDED',
+  inactive: '#EDEDED'
+};
+
+/**
+ * Builds a node/edge graph from tasks (snapshot tasks or templates mapped to the same shape).
+ * @param {Array} tasks - Tasks with order, name, responsible, leadTime, precedingTasks, dependencyLinks and status.
+ * @param {Array<string>} [criticalPath] - Order codes of the critical tasks.
+ * @returns {Object} - { nodes, edges } in topological order.
+ */
+function buildGraph(tasks, criticalPath = []) {
+  const criticalOrders = new Set(criticalPath);
+  const orders = new Set(tasks.map(t => t.order));
+
+  const nodes = topologicalSort(tasks).map(task => ({
+    id: task.order,
+    name: task.name,
+    departments: [...(task.responsible || [])],
+    leadTime: task.leadTime,
+    status: task.status,
+    isCritical: criticalOrders.has(task.order)
+  }));
+
+  const edges = [];
+  tasks.forEach(task => {
+    getDependencyLinks(task.precedingTasks, task.dependencyLinks)
+      .filter(link => orders.has(link.order))
+      .forEach(link => edges.push({
+        from: link.order,
+        to: task.order,
+        type: link.type,
+        lag: link.lag,
+        isCritical: criticalOrders.has(link.order) && criticalOrders.has(task.order)
+      }));
+  });
+
+  return { nodes, edges };
+}
+
+// Label shown on an edge, only for relationships other than plain finish-to-start
+function edgeLabel(edge) {
+  if (edge.type === 'FS' && !edge.lag) return '';
+  return `${edge.type}${edge.lag ? `+${edge.lag}` : ''}`;
+}
+
+/**
+ * Renders a graph as Graphviz DOT text.
+ * @param {Object} graph - The graph from buildGraph.
+ * @param {string} title - The graph title.
+ * @returns {string}
+ */
+function toDot(graph, title) {
+  const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const lines = [
+    'digraph G {',
+    `  label="${escape(title)}";`,
+    '  labelloc="t";',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+
+  graph.nodes.forEach(node => {
+    const label = `${escape(`${node.id} - ${node.name}`)}\\n${escape(node.departments.join(', '))} | ${node.leadTime}d | ${node.status}`;
+    const attributes = [`label="${label}"`, `fillcolor="${STATUS_COLORS[node.status] || '#FFFFFF'}"`];
+    if (node.isCritical) attributes.push('color="#C00000"', 'penwidth=2');
+    lines.push(`  "${node.id}" [${attributes.join(', ')}];`);
+  });
+
+  graph.edges.forEach(edge => {
+    const attributes = [];
+    const label = edgeLabel(edge);
+    if (label) attributes.push(`label="${label}"`);
+    if (edge.isCritical) attributes.push('color="#C00000"', 'penwidth=2');
+    lines.push(`  "${edge.from}" -> "${edge.to}"${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Renders a graph as a Mermaid flowchart.
+ * @param {Object} graph - The graph from buildGraph.
+ * @returns {string}
+ */
+function toMermaid(graph) {
+  const escape = text => String(text).replace(/"/g, '#quot;');
+  const lines = ['flowchart LR'];
+
+  graph.nodes.forEach(node => {
+    lines.push(`  ${node.id}["${escape(`${node.id} - ${node.name}`)}<br/>${escape(node.departments.join(', '))} | ${node.leadTime}d | ${node.status}"]`);
+  });
+
+  const criticalEdgeIndexes = [];
+  graph.edges.forEach((edge, index) => {
+    const label = edgeLabel(edge);
+    lines.push(`  ${edge.from} -->${label ? `|${label}|` : ''} ${edge.to}`);
+    if (edge.isCritical) criticalEdgeIndexes.push(index);
+  });
+
+  Object.entries(STATUS_COLORS).forEach(([status, color]) => {
+    lines.push(`  classDef ${status} fill:${color}`);
+  });
+  lines.push('  classDef critical stroke:#C00000,stroke-width:3px');
+
+  Object.keys(STATUS_COLORS).forEach(status => {
+    const ids = graph.nodes.filter(node => node.status === status).map(node => node.id);
+    if (ids.length > 0) lines.push(`  class ${ids.join(',')} ${status}`);
+  });
+  const criticalIds = graph.nodes.filter(node => node.isCritical).map(node => node.id);
+  if (criticalIds.length > 0) lines.push(`  class ${criticalIds.join(',')} critical`);
+  if (criticalEdgeIndexes.length > 0) {
+    lines.push(`  linkStyle ${criticalEdgeIndexes.join(',')} stroke:#C00000,stroke-width:3px`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Sends a graph in the format requested with ?format= (json, dot or mermaid).
+ * JSON responses include the DOT and Mermaid text as well.
+ * @param {Object} res - The Express response.
+ * @param {Object} graph - The graph from buildGraph.
+ * @param {string} format - The requested format.
+ * @param {string} title - The graph title.
+ * @param {Object} [extra] - Additional fields for the JSON response.
+ */
+function sendGraph(res, graph, format, title, extra = {}) {
+  if (format === 'dot') {
+    return res.type('text/vnd.graphviz').send(toDot(graph, title));
+  }
+  if (format === 'mermaid') {
+    return res.type('text/plain').send(toMermaid(graph));
+  }
+  if (format && format !== 'json') {
+    return res.status(400).json({ message: `Invalid format '${format}'. Allowed: json, dot, mermaid.` });
+  }
+  res.json({ title, ...extra, ...graph, dot: toDot(graph, title), mermaid: toMermaid(graph) });
+}
+
+module.exports = {
+  buildGraph,
+  toDot,
+  toMermaid,
+  sendGraph,
+};
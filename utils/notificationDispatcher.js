@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const NotificationPreference = require('../models/NotificationPreference');
+const { enqueueEmail } = require('./emailOutbox');
+const { compileEmailTemplate, seasonLink } = require('./emailTemplates');
+
+// Notification events users can switch off, kept in sync with the NotificationPreference schema
+const NOTIFICATION_EVENTS = NotificationPreference.schema.path('disabledEvents').caster.enumValues;
+
+/**
+ * Checks the global email notification switch.
+ * @returns {Promise<boolean>}
+ */
+async function areEmailsEnabled() {
+  const emailSetting = await Setting.findOne({ key: 'emailNotificationsEnabled' });
+  return !!emailSetting && emailSetting.value === true;
+}
+
+/**
+ * Finds the users an event may be emailed to: active users with notifications on whose
+ * preferences allow the event for the season.
+ * @param {Object} recipientQuery - A User query selecting the intended recipients.
+ * @param {string|null} event - The notification event; null for emails not controlled by events (e.g. digests).
+ * @param {string} [seasonId] - The season the email is about.
+ * @returns {Promise<Array>} - The users (email, firstName, lastName).
+ */
+async function findNotificationRecipients(recipientQuery, event, seasonId) {
+  const users = await User.find({ ...recipientQuery, isActive: true, emailNotificationsEnabled: { $ne: false } })
+    .select('email firstName lastName');
+  if (users.length === 0) return users;
+
+  const preferences = await NotificationPreference.find({ user: { $in: users.map(user => user._id) } });
+  const preferencesByUser = new Map(preferences.map(preference => [String(preference.user), preference]));
+  return users.filter(user => {
+    const preference = preferencesByUser.get(String(user._id));
+    return !preference || preference.allows(event, seasonId);
+  });
+}
+
+/**
+ * Queues a notification email for the intended recipients that want it. Every email of the application
+ * goes through here, so the global switch, isActive, emailNotificationsEnabled and the notification
+ * preferences apply everywhere. The emails are sent (and retried) by the outbox worker; emails that
+ * cannot be queued are logged but not thrown.
+ * @param {Object} notification
+ * @param {string|null} notification.event - One of NOTIFICATION_EVENTS, or null for emails not controlled by events.
+ * @param {string} [notification.seasonId] - The season the email is about.
+ * @param {Object} notification.recipients - A User query selecting the intended recipients.
+ * @param {string} [notification.template] - The email template key; rendered per recipient with data and firstName.
+ * @param {Object} [notification.data] - The placeholder values of the template.
+ * @param {string} [notification.subject] - The subject of the email, when no template is given.
+ * @param {string|Function} [notification.html] - The HTML body, or a function of the recipient returning it, when no template is given.
+ * @returns {Promise<Object>} - { sentTo: emails queued for, failed: number of emails that could not be queued }
+ */
+async function dispatchNotification({ event, seasonId = null, recipients, template, data = {}, subject, html }) {
+  const result = { sentTo: [], failed: 0 };
+  if (event && !NOTIFICATION_EVENTS.includes(event)) {
+    throw new Error(`Unknown notification event '${event}'.`);
+  }
+  if (!(await areEmailsEnabled())) return result;
+
+  const users = await findNotificationRecipients(recipients, event, seasonId);
+  if (users.length === 0) return result;
+
+  const render = template
+    ? await compileEmailTemplate(template)
+    : user => ({ subject, html: typeof html === 'function' ? html(user) : html });
+  for (const user of users) {
+    try {
+      const email = template ? render({ ...data, firstName: user.firstName }) : render(user);
+      await enqueueEmail({ seasonId, to: user.email, subject: email.subject, html: email.html });
+      result.sentTo.push(user.email);
+    } catch (error) {
+      console.error(`Failed to queue ${event || 'notification'} email to ${user.email}:`, error.message);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Emails planners and admins (except the user who made the change) that a season's status changed.
+ * @param {Object} season - The Season document (with the new status).
+ * @param {string} oldStatus - The previous status.
+ * @param {string} [changedBy] - The ID of the user who changed the status; omitted for automatic changes.
+ */
+async function notifySeasonStatusChange(season, oldStatus, changedBy) {
+  try {
+    const recipients = { role: { $in: ['Planner', 'Admin'] } };
+    if (changedBy) recipients._id = { $ne: changedBy };
+
+    await dispatchNotification({
+      event: 'SEASON_STATUS',
+      seasonId: season._id,
+      recipients,
+      template: 'SEASON_STATUS',
+      data: {
+        seasonName: season.name,
+        oldStatus,
+        newStatus: season.status,
+        statusNote: changedBy ? '' : ' automatically, as all tasks are completed',
+        link: seasonLink(season._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error during season status email notification:', error);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  areEmailsEnabled,
+  findNotificationRecipients,
+  dispatchNotification,
+  notifySeasonStatusChange,
+};
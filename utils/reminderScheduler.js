@@ -0,0 +1,210 @@
+const moment = require('moment');
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const Department = require('../models/Department');
+const Setting = require('../models/Setting');
+const TaskReminder = require('../models/TaskReminder');
+const { dispatchNotification, areEmailsEnabled } = require('./notificationDispatcher');
+const { withoutDigestUsers, runDigestJobs } = require('./taskDigest');
+const { seasonLink } = require('./emailTemplates');
+
+// Used when the reminderSchedule setting is missing or incomplete
+const DEFAULT_REMINDER_SCHEDULE = {
+  enabled: true,
+  intervalMinutes: 60,
+  reminderDaysBefore: 2,
+  escalateToPlannersAfterDays: 2,
+  escalateToHeadsAfterDays: 5,
+  digestHour: 7,
+  digestWeekday: 1,
+};
+
+let schedulerTimer = null;
+let isRunning = false;
+
+/**
+ * Loads the reminder schedule from the settings, falling back to the defaults per field.
+ * @returns {Promise<Object>} - { enabled, intervalMinutes, reminderDaysBefore, escalateToPlannersAfterDays,
+ *                                 escalateToHeadsAfterDays, digestHour, digestWeekday }
+ */
+async function loadReminderSchedule() {
+  const setting = await Setting.findOne({ key: 'reminderSchedule' });
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  const schedule = { ...DEFAULT_REMINDER_SCHEDULE };
+  Object.keys(DEFAULT_REMINDER_SCHEDULE).forEach(key => {
+    if (typeof value[key] === typeof DEFAULT_REMINDER_SCHEDULE[key]) {
+      schedule[key] = value[key];
+    }
+  });
+  return schedule;
+}
+
+// Loads the reminder schedule, or null when the scheduler or email notifications are switched off
+async function loadActiveSchedule() {
+  const schedule = await loadReminderSchedule();
+  return schedule.enabled && (await areEmailsEnabled()) ? schedule : null;
+}
+
+/**
+ * Lists the reminder stages a task has reached on a day, in escalation order.
+ * The due soon reminder is only sent before the due date.
+ * @param {Date} dueDate - The planned end date of the task.
+ * @param {Date} today - The day the scheduler runs.
+ * @param {Object} schedule - The reminder schedule.
+ * @returns {Array<string>} - Stages as stored on TaskReminder.
+ */
+function getReachedStages(dueDate, today, schedule) {
+  const daysOverdue = moment(today).startOf('day').diff(moment(dueDate).startOf('day'), 'days');
+  const stages = [];
+  if (daysOverdue < 0 && -daysOverdue <= schedule.reminderDaysBefore) stages.push('DUE_SOON');
+  if (daysOverdue >= 0) stages.push('DUE');
+  if (daysOverdue >= schedule.escalateToPlannersAfterDays) stages.push('ESCALATED_PLANNERS');
+  if (daysOverdue >= schedule.escalateToHeadsAfterDays) stages.push('ESCALATED_HEADS');
+  return stages;
+}
+
+// Builds the User query for the recipients of a reminder stage of a task; users with a digest get
+// the due soon and due reminders in their digest instead
+async function findStageRecipients(stage, task) {
+  if (stage === 'ESCALATED_PLANNERS') {
+    return { role: { $in: ['Planner', 'Admin'] } };
+  }
+  const departments = await Department.find({ name: { $in: task.responsible || [] } }).select('head');
+  if (stage === 'ESCALATED_HEADS') {
+    return { _id: { $in: departments.map(d => d.head).filter(Boolean) } };
+  }
+  return withoutDigestUsers({ department: { $in: departments.map(d => d._id) } });
+}
+
+// Email template of each reminder stage
+const STAGE_TEMPLATES = {
+  DUE_SOON: 'DUE_SOON',
+  DUE: 'OVERDUE',
+  ESCALATED_PLANNERS: 'ESCALATION',
+  ESCALATED_HEADS: 'ESCALATION',
+};
+
+// Who receives each reminder stage; of several new stages for the same audience only the highest is sent
+const STAGE_AUDIENCES = {
+  DUE_SOON: 'department',
+  DUE: 'department',
+  ESCALATED_PLANNERS: 'planners',
+  ESCALATED_HEADS: 'heads',
+};
+
+// Sends one reminder stage of a task; returns the email addresses it was sent to
+async function sendStageReminder(stage, season, task, dueDate, today, recipients) {
+  const daysOverdue = moment(today).startOf('day').diff(moment(dueDate).startOf('day'), 'days');
+  const { sentTo } = await dispatchNotification({
+    event: stage === 'DUE_SOON' ? 'REMINDER' : 'OVERDUE',
+    seasonId: season._id,
+    recipients,
+    template: STAGE_TEMPLATES[stage],
+    data: {
+      seasonName: season.name,
+      taskName: task.name,
+      departments: (task.responsible || []).join(', '),
+      dueDate: moment(dueDate).format('DD-MMM-YY'),
+      dueLabel: daysOverdue === 0 ? 'DUE TODAY' : 'OVERDUE',
+      daysOverdue: `${daysOverdue} day${daysOverdue > 1 ? 's' : ''}`,
+      link: seasonLink(season._id)
+    }
+  });
+  return sentTo;
+}
+
+/**
+ * Sends the reminder and escalation emails due for the pending tasks of all open seasons.
+ * Each stage is recorded in TaskReminder before it is sent, so it goes out at most once per due date.
+ * When a run finds several new stages for a task, each audience only gets the highest of its stages,
+ * so a task first seen long overdue still reaches its department, the planners and the department heads.
+ * @param {Date} [now] - The time of the run.
+ * @returns {Promise<Object>} - { remindersSent, emailsSent }
+ */
+async function runReminderJobs(now = new Date()) {
+  const result = { remindersSent: 0, emailsSent: 0 };
+  const schedule = await loadActiveSchedule();
+  if (!schedule) {
+    return result;
+  }
+
+  const seasons = await Season.find({ status: 'Open' }).select('name');
+  for (const season of seasons) {
+    const snapshot = await SeasonSnapshot.findOne({ seasonId: season._id }).lean();
+    if (!snapshot) continue;
+
+    const sentReminders = await TaskReminder.find({ season: season._id }).select('task stage dueDate').lean();
+    const sentKeys = new Set(sentReminders.map(r => `${r.task}:${r.stage}:${r.dueDate.getTime()}`));
+
+    // Only tasks that can be worked on have a planned end date; tasks waiting for approval are not reminded
+    const dueTasks = snapshot.tasks.filter(task => task.status === 'pending' && task.computedDates && task.computedDates.end);
+    for (const task of dueTasks) {
+      const dueDate = moment(task.computedDates.end).startOf('day').toDate();
+      const newStages = getReachedStages(dueDate, now, schedule)
+        .filter(stage => !sentKeys.has(`${task._id}:${stage}:${dueDate.getTime()}`));
+      for (const stage of newStages) {
+        // A stage followed by a new stage for the same audience is recorded as skipped, so it never goes out late
+        const skipped = newStages.slice(newStages.indexOf(stage) + 1).some(later => STAGE_AUDIENCES[later] === STAGE_AUDIENCES[stage]);
+        let reminder;
+        try {
+          reminder = await TaskReminder.create({ season: season._id, task: task._id, taskOrder: task.order, stage, dueDate, skipped });
+        } catch (error) {
+          if (error.code === 11000) continue; // Sent by another run in the meantime
+          throw error;
+        }
+        if (skipped) continue;
+
+        const recipients = await findStageRecipients(stage, task);
+        reminder.recipients = await sendStageReminder(stage, season, task, dueDate, now, recipients);
+        await reminder.save();
+
+        result.remindersSent++;
+        result.emailsSent += reminder.recipients.length;
+      }
+    }
+  }
+  return result;
+}
+
+// Runs the reminder and digest jobs unless a run is still in progress
+async function runScheduledJobs() {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const now = new Date();
+    const { remindersSent, emailsSent } = await runReminderJobs(now);
+    if (remindersSent > 0) {
+      console.log(`Reminder scheduler: ${remindersSent} reminder(s) sent in ${emailsSent} email(s).`);
+    }
+    const schedule = await loadActiveSchedule();
+    const { digestsSent } = schedule ? await runDigestJobs(now, schedule) : { digestsSent: 0 };
+    if (digestsSent > 0) {
+      console.log(`Reminder scheduler: ${digestsSent} digest(s) sent.`);
+    }
+  } catch (error) {
+    console.error('Reminder scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Starts the background reminder scheduler: runs the reminder and digest jobs now and then every
+ * intervalMinutes of the reminder schedule. Changing the interval needs a restart.
+ */
+async function startReminderScheduler() {
+  if (schedulerTimer) return;
+  const schedule = await loadReminderSchedule();
+  const intervalMinutes = Math.max(schedule.intervalMinutes, 1);
+  schedulerTimer = setInterval(runScheduledJobs, intervalMinutes * 60 * 1000);
+  console.log(`Reminder scheduler started (every ${intervalMinutes} minute(s)).`);
+  await runScheduledJobs();
+}
+
+module.exports = {
+  DEFAULT_REMINDER_SCHEDULE,
+  loadReminderSchedule,
+  getReachedStages,
+  runReminderJobs,
+  startReminderScheduler,
+};
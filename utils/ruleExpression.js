@@ -0,0 +1,251 @@
+/**
+ * Safe evaluator for template applicability rules, e.g.
+ *   hasEmbroidery
+ *   shipmentMode == "AIR"
+ *   shipmentMode in ["AIR", "SEA-AIR"] and not isRepeatStyle
+ *   quantity >= 5000 or (buyerTier == "A" && hasPrint)
+ * Identifiers are season attribute names; a missing attribute is null. String comparisons
+ * ignore case. Expressions are parsed into a tree and interpreted; nothing is ever executed.
+ */
+
+const KEYWORDS = { and: '&&', or: '||', not: '!', in: 'in', true: true, false: false, null: null };
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'in'];
+
+// Helper function to create a rule error (reported as 400 by the routes)
+function ruleError(message) {
+  const error = new Error(`Invalid rule: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// Splits a rule into tokens: { type: 'op' | 'value' | 'identifier', value, position }
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      const end = text.indexOf(char, i + 1);
+      if (end === -1) throw ruleError(`unterminated string at position ${i + 1}.`);
+      tokens.push({ type: 'value', value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(text[i + 1] || ''))) {
+      const match = text.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'value', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        const keyword = KEYWORDS[word];
+        tokens.push(typeof keyword === 'string' ? { type: 'op', value: keyword, position: i } : { type: 'value', value: keyword, position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+    } else {
+      const op = ['&&', '||', '==', '!=', '>=', '<='].find(candidate => text.startsWith(candidate, i))
+        || ['!', '>', '<', '(', ')', '[', ']', ','].find(candidate => candidate === char);
+      if (!op) throw ruleError(`unexpected character '${char}' at position ${i + 1}.`);
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a rule into an expression tree.
+ * @param {string} text - The rule expression.
+ * @returns {Object} - The expression tree.
+ * @throws {Error} - With status 400 when the rule is not valid.
+ */
+function parseRule(text) {
+  const tokens = tokenize(String(text));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw ruleError(peek() ? `expected '${value}' at position ${peek().position + 1}.` : `expected '${value}' at the end.`);
+    }
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw ruleError('unexpected end of expression.');
+    if (isOp('(')) {
+      index++;
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+    if (isOp('[')) {
+      index++;
+      const items = [];
+      while (!isOp(']')) {
+        items.push(parsePrimary());
+        if (!isOp(']')) expect(',');
+      }
+      index++;
+      return { type: 'list', items };
+    }
+    index++;
+    if (token.type === 'value') return { type: 'value', value: token.value };
+    if (token.type === 'identifier') return { type: 'attribute', name: token.value };
+    throw ruleError(`unexpected '${token.value}' at position ${token.position + 1}.`);
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token && token.type === 'op' && COMPARISON_OPERATORS.includes(token.value)) {
+      index++;
+      return { type: 'compare', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOp('!')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isOp('&&')) {
+      index++;
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||')) {
+      index++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  if (tokens.length === 0) throw ruleError('the expression is empty.');
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw ruleError(`unexpected '${peek().value}' at position ${peek().position + 1}.`);
+  }
+  return tree;
+}
+
+// Normalizes values for comparison: strings ignore case and surrounding spaces
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function evaluateNode(node, attributes) {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+    case 'attribute':
+      return Object.prototype.hasOwnProperty.call(attributes, node.name) ? attributes[node.name] : null;
+    case 'list':
+      return node.items.map(item => evaluateNode(item, attributes));
+    case 'not':
+      return !evaluateNode(node.operand, attributes);
+    case 'and':
+      return !!evaluateNode(node.left, attributes) && !!evaluateNode(node.right, attributes);
+    case 'or':
+      return !!evaluateNode(node.left, attributes) || !!evaluateNode(node.right, attributes);
+    case 'compare': {
+      const left = normalize(evaluateNode(node.left, attributes));
+      const right = evaluateNode(node.right, attributes);
+      if (node.operator === 'in') {
+        return Array.isArray(right) && right.map(normalize).includes(left);
+      }
+      const normalizedRight = normalize(right);
+      switch (node.operator) {
+        case '==': return left === normalizedRight;
+        case '!=': return left !== normalizedRight;
+        // Ordering comparisons only apply to values that are both present
+        case '>': return left !== null && normalizedRight !== null && left > normalizedRight;
+        case '>=': return left !== null && normalizedRight !== null && left >= normalizedRight;
+        case '<': return left !== null && normalizedRight !== null && left < normalizedRight;
+        case '<=': return left !== null && normalizedRight !== null && left <= normalizedRight;
+        default: return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates a rule against season attributes. An empty rule always applies.
+ * @param {string} text - The rule expression.
+ * @param {Object} [attributes] - The season attributes (name → value).
+ * @returns {boolean}
+ */
+function evaluateRule(text, attributes = {}) {
+  if (!text || !String(text).trim()) return true;
+  return !!evaluateNode(parseRule(text), attributes || {});
+}
+
+/**
+ * Checks that a rule can be parsed.
+ * @param {string} text - The rule expression.
+ * @returns {string|null} - The error message, or null if the rule is valid (or empty).
+ */
+function validateRule(text) {
+  if (!text || !String(text).trim()) return null;
+  try {
+    parseRule(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validates season attributes: names must be usable in rules and values must be
+ * strings, numbers, booleans or null.
+ * @param {Object} attributes - The season attributes.
+ * @returns {string|null} - The error message, or null if the attributes are valid.
+ */
+function validateAttributes(attributes) {
+  if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+    return 'Attributes must be an object of name to value.';
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || Object.prototype.hasOwnProperty.call(KEYWORDS, name)) {
+      return `Invalid attribute name '${name}'. Use letters, digits and underscores, starting with a letter.`;
+    }
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      return `Attribute '${name}' must be a string, number, boolean or null.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts stored season attributes (a Mongoose Map) to a plain object for rule evaluation.
+ * @param {Map|Object} [attributes] - The season's attributes.
+ * @returns {Object}
+ */
+function toAttributeObject(attributes) {
+  if (!attributes) return {};
+  return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+}
+
+module.exports = {
+  parseRule,
+  evaluateRule,
+  validateRule,
+  validateAttributes,
+  toAttributeObject,
+};
@@ -0,0 +1,122 @@
+const TaskTemplate = require('../models/TaskTemplate');
+
+// Production phases in process order, kept in sync with the TaskTemplate schema
+const PHASES = TaskTemplate.schema.path('phase').enumValues;
+// Group for tasks without a phase (custom tasks, templates not yet assigned to a phase)
+const UNASSIGNED_PHASE = 'Unassigned';
+
+// Tasks completed without an actual completion date do not apply to the season
+function isNotApplicable(task) {
+  return task.status === 'completed' && !task.actualCompletion;
+}
+
+function latestDate(dates) {
+  return dates.reduce((latest, date) => (date && (!latest || new Date(date) > latest) ? new Date(date) : latest), null);
+}
+
+function earliestDate(dates) {
+  return dates.reduce((earliest, date) => (date && (!earliest || new Date(date) < earliest) ? new Date(date) : earliest), null);
+}
+
+/**
+ * Groups tasks by phase, in process order; tasks without a known phase come last.
+ * Phases without tasks are left out.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @returns {Array} - [{ phase, tasks }]
+ */
+function groupTasksByPhase(tasks) {
+  const groups = new Map([...PHASES, UNASSIGNED_PHASE].map(phase => [phase, []]));
+  tasks.forEach(task => {
+    groups.get(PHASES.includes(task.phase) ? task.phase : UNASSIGNED_PHASE).push(task);
+  });
+  return [...groups.entries()]
+    .filter(([, phaseTasks]) => phaseTasks.length > 0)
+    .map(([phase, phaseTasks]) => ({ phase, tasks: phaseTasks }));
+}
+
+/**
+ * Summarizes the progress of every phase of a season. Tasks that do not apply are counted
+ * separately and left out of the percentage and dates.
+ * @param {Array} tasks - The array of tasks from the snapshot (after updateSeasonSchedule).
+ * @returns {Array} - [{ phase, status, totalTasks, completedTasks, notApplicableTasks, percentComplete,
+ *                      forecastStart, forecastEnd, latestEnd, actualFinish }]
+ */
+function getPhaseProgress(tasks) {
+  return groupTasksByPhase(tasks).map(({ phase, tasks: phaseTasks }) => {
+    const applicableTasks = phaseTasks.filter(task => !isNotApplicable(task));
+    const completedTasks = applicableTasks.filter(task => task.status === 'completed');
+    const isDone = completedTasks.length === applicableTasks.length;
+
+    let status = 'in-progress';
+    if (isDone) {
+      status = 'completed';
+    } else if (completedTasks.length === 0) {
+      status = 'not-started';
+    }
+
+    return {
+      phase,
+      status,
+      totalTasks: phaseTasks.length,
+      completedTasks: completedTasks.length,
+      notApplicableTasks: phaseTasks.length - applicableTasks.length,
+      percentComplete: applicableTasks.length > 0 ? Math.round((completedTasks.length / applicableTasks.length) * 100) : 100,
+      forecastStart: earliestDate(applicableTasks.map(task => task.forecastDates && task.forecastDates.start)),
+      forecastEnd: latestDate(applicableTasks.map(task => task.forecastDates && task.forecastDates.end)),
+      latestEnd: latestDate(applicableTasks.map(task => task.latestDates && task.latestDates.end)),
+      actualFinish: isDone ? latestDate(completedTasks.map(task => task.actualCompletion)) : null
+    };
+  });
+}
+
+/**
+ * Returns the earliest phase (in process order) that still has open tasks, or null when every
+ * phase is done. Tasks without a phase do not make a season stay in a phase.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @returns {string|null}
+ */
+function getCurrentPhase(tasks) {
+  const openPhases = new Set(tasks.filter(task => task.status !== 'completed').map(task => task.phase));
+  return PHASES.find(phase => openPhases.has(phase)) || null;
+}
+
+/**
+ * Lists the milestone tasks of a season with their key dates, ordered by forecast date.
+ * @param {Array} tasks - The array of tasks from the snapshot (after updateSeasonSchedule).
+ * @returns {Array} - [{ _id, order, name, phase, status, notApplicable, forecastDate, latestDate, actualCompletion, isLate }]
+ */
+function getMilestones(tasks) {
+  return tasks
+    .filter(task => task.isMilestone)
+    .map(task => {
+      const forecastDate = task.forecastDates && task.forecastDates.end ? task.forecastDates.end : null;
+      const latestEnd = task.latestDates && task.latestDates.end ? task.latestDates.end : null;
+      const finishDate = task.actualCompletion || forecastDate;
+      return {
+        _id: task._id,
+        order: task.order,
+        name: task.name,
+        phase: task.phase || null,
+        status: task.status,
+        notApplicable: isNotApplicable(task),
+        forecastDate,
+        latestDate: latestEnd,
+        actualCompletion: task.actualCompletion || null,
+        // Later than the backward-scheduled date the delivery date allows
+        isLate: !isNotApplicable(task) && !!finishDate && !!latestEnd && new Date(finishDate) > new Date(latestEnd)
+      };
+    })
+    .sort((a, b) => {
+      if (!a.forecastDate || !b.forecastDate) return a.forecastDate ? -1 : (b.forecastDate ? 1 : 0);
+      return new Date(a.forecastDate) - new Date(b.forecastDate);
+    });
+}
+
+module.exports = {
+  PHASES,
+  UNASSIGNED_PHASE,
+  groupTasksByPhase,
+  getPhaseProgress,
+  getCurrentPhase,
+  getMilestones,
+};
@@ -0,0 +1,152 @@
+const moment = require('moment');
+const Department = require('../models/Department');
+const { dispatchNotification, areEmailsEnabled } = require('./notificationDispatcher');
+const { seasonLink } = require('./emailTemplates');
+
+/**
+ * Message for refusing to change a task whose completion is waiting for approval.
+ * @param {string} action - What is refused, e.g. 'skipping the task'.
+ * @returns {string}
+ */
+function pendingApprovalMessage(action) {
+  return `The completion of this task is waiting for approval. Approve or reject it before ${action}.`;
+}
+
+/**
+ * Checks whether a user may approve the completion of a task: planners and admins always can,
+ * users of the task's approver department can for that task.
+ * @param {Object} user - The user (needs `role`).
+ * @param {string|null} departmentName - The name of the user's department.
+ * @param {Object} task - The snapshot task.
+ * @returns {boolean}
+ */
+function canApproveTask(user, departmentName, task) {
+  if (user.role === 'Planner' || user.role === 'Admin') {
+    return true;
+  }
+  return !!task.approverDepartment && departmentName === task.approverDepartment;
+}
+
+/**
+ * Puts a task in the pending approval state with the proposed completion date.
+ * Evidence is a note, or an attachment already uploaded to the task.
+ * @param {Object} task - The snapshot task.
+ * @param {string} userId - The ID of the submitting user.
+ * @param {Date} proposedCompletion - The completion date to set once approved.
+ * @param {string} [evidence] - A note describing the evidence.
+ */
+function markTaskSubmitted(task, userId, proposedCompletion, evidence) {
+  const note = typeof evidence === 'string' ? evidence.trim() : '';
+  if (!note && (!task.attachments || task.attachments.length === 0)) {
+    const error = new Error('Completion of this task needs approval. Add evidence (a note or an attachment) when submitting it.');
+    error.status = 400;
+    throw error;
+  }
+
+  task.status = 'pending_approval';
+  task.approval = {
+    submittedBy: userId,
+    submittedAt: new Date(),
+    proposedCompletion,
+    evidence: note,
+    decision: 'pending',
+    decidedBy: null,
+    decidedAt: null,
+    rejectionReason: ''
+  };
+}
+
+/**
+ * Records the approval of a task's completion. The caller sets the completion date and status.
+ * @param {Object} task - The snapshot task.
+ * @param {string} userId - The ID of the approving user.
+ */
+function markTaskApproved(task, userId) {
+  const submission = task.approval && task.approval.submittedBy ? task.approval : null;
+  task.approval = {
+    submittedBy: submission ? submission.submittedBy : userId,
+    submittedAt: submission ? submission.submittedAt : new Date(),
+    proposedCompletion: submission ? submission.proposedCompletion : null,
+    evidence: submission ? submission.evidence : '',
+    decision: 'approved',
+    decidedBy: userId,
+    decidedAt: new Date(),
+    rejectionReason: ''
+  };
+}
+
+/**
+ * Rejects a submitted completion: the task goes back to pending and keeps the submission for reference.
+ * @param {Object} task - The snapshot task.
+ * @param {string} userId - The ID of the rejecting user.
+ * @param {string} reason - Why the completion was rejected.
+ */
+function markTaskRejected(task, userId, reason) {
+  task.status = 'pending';
+  task.approval.decision = 'rejected';
+  task.approval.decidedBy = userId;
+  task.approval.decidedAt = new Date();
+  task.approval.rejectionReason = reason;
+}
+
+// Sends an approval email template to the recipients (a User query)
+async function sendApprovalEmails(recipients, season, task, template, data) {
+  await dispatchNotification({
+    event: 'TASK_ACTIONABLE',
+    seasonId: season._id,
+    recipients,
+    template,
+    data: { seasonName: season.name, taskName: task.name, link: seasonLink(season._id), ...data }
+  });
+}
+
+/**
+ * Emails the approvers of a task that its completion was submitted: the approver department,
+ * or the planners when the task has none.
+ * @param {Object} season - The Season document.
+ * @param {Object} task - The snapshot task (pending approval).
+ */
+async function notifyApprovers(season, task) {
+  try {
+    if (!(await areEmailsEnabled())) return;
+
+    let approvers = { role: 'Planner' };
+    if (task.approverDepartment) {
+      const department = await Department.findOne({ name: task.approverDepartment });
+      if (!department) return;
+      approvers = { department: department._id };
+    }
+
+    await sendApprovalEmails(approvers, season, task, 'APPROVAL_REQUESTED', {
+      proposedDate: moment(task.approval.proposedCompletion).format('DD-MMM-YY'),
+      evidence: task.approval.evidence || 'see the task attachments'
+    });
+  } catch (error) {
+    console.error('Error during approval email notification:', error);
+  }
+}
+
+/**
+ * Emails the user who submitted a task's completion that it was rejected, with the reason.
+ * @param {Object} season - The Season document.
+ * @param {Object} task - The snapshot task (just rejected).
+ */
+async function notifySubmitterOfRejection(season, task) {
+  try {
+    await sendApprovalEmails({ _id: task.approval.submittedBy }, season, task, 'COMPLETION_REJECTED', {
+      reason: task.approval.rejectionReason
+    });
+  } catch (error) {
+    console.error('Error during approval email notification:', error);
+  }
+}
+
+module.exports = {
+  pendingApprovalMessage,
+  canApproveTask,
+  markTaskSubmitted,
+  markTaskApproved,
+  markTaskRejected,
+  notifyApprovers,
+  notifySubmitterOfRejection,
+};
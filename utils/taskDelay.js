@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const DelayReason = require('../models/DelayReason');
+
+/**
+ * Counts the calendar days a completion date is past the task's planned end date,
+ * the same way the season Excel export reports "Over N days".
+ * @param {Object} task - The snapshot task (after updateSeasonSchedule).
+ * @param {Date} completionDate - The actual (or proposed) completion date.
+ * @returns {number} - Days late; 0 when on time, early or not scheduled.
+ */
+function getDaysLate(task, completionDate) {
+  if (!completionDate || !task.computedDates || !task.computedDates.end) {
+    return 0;
+  }
+  const actual = moment(completionDate).startOf('day');
+  const planned = moment(task.computedDates.end).startOf('day');
+  return Math.max(actual.diff(planned, 'days'), 0);
+}
+
+// Finds an active delay reason by ID or code, throwing a 400 error when there is none
+async function findActiveDelayReason(value) {
+  const conditions = [{ code: String(value).trim().toUpperCase() }];
+  // Any 12-character code is also a valid ObjectId, so match either
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    conditions.push({ _id: value });
+  }
+  const reason = await DelayReason.findOne({ $or: conditions });
+  if (!reason || !reason.isActive) {
+    const error = new Error(`Delay reason '${value}' was not found or is no longer in use.`);
+    error.status = 400;
+    throw error;
+  }
+  return reason;
+}
+
+/**
+ * Records why a task is completed late, or clears the delay when it is on time.
+ * A late completion needs a delay reason; when none is given, the reason already recorded
+ * on the task is kept (e.g. when a planner corrects the date).
+ * @param {Object} task - The snapshot task.
+ * @param {string} userId - The ID of the user completing the task.
+ * @param {Date} completionDate - The actual (or proposed) completion date.
+ * @param {Object} [input] - { delayReason: ID or code, delayNote }.
+ * @returns {Object|null} - The recorded delay, or null when the task is on time.
+ */
+async function recordTaskDelay(task, userId, completionDate, { delayReason, delayNote } = {}) {
+  const daysLate = getDaysLate(task, completionDate);
+  if (daysLate === 0) {
+    task.delay = undefined;
+    return null;
+  }
+
+  const hasRecordedReason = task.delay && task.delay.reason;
+  if (!delayReason && !hasRecordedReason) {
+    const error = new Error(`This task is completed ${daysLate} day${daysLate > 1 ? 's' : ''} after its planned end date. Select a delay reason.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const note = typeof delayNote === 'string' ? delayNote.trim() : (hasRecordedReason ? task.delay.note : '');
+  if (delayReason) {
+    const reason = await findActiveDelayReason(delayReason);
+    task.delay = {
+      reason: reason._id,
+      reasonCode: reason.code,
+      reasonName: reason.name,
+      note,
+      daysLate,
+      recordedBy: userId,
+      recordedAt: new Date()
+    };
+  } else {
+    task.delay.note = note;
+    task.delay.daysLate = daysLate;
+  }
+  return task.delay;
+}
+
+/**
+ * Describes a recorded delay for activity logs.
+ * @param {Object} task - The snapshot task.
+ * @param {Object} delay - The delay returned by recordTaskDelay.
+ * @returns {string}
+ */
+function describeTaskDelay(task, delay) {
+  const days = `${delay.daysLate} day${delay.daysLate > 1 ? 's' : ''}`;
+  return `Task "${task.name}" completed ${days} late. Reason: ${delay.reasonName}${delay.note ? ` (${delay.note})` : ''}.`;
+}
+
+// Adds a delayed task to the group for the key
+function addToGroup(groups, key, fields, daysLate) {
+  if (!groups.has(key)) {
+    groups.set(key, { ...fields, tasks: 0, daysLost: 0 });
+  }
+  const group = groups.get(key);
+  group.tasks += 1;
+  group.daysLost += daysLate;
+}
+
+function sortByDaysLost(groups) {
+  return [...groups.values()].sort((a, b) => b.daysLost - a.daysLost);
+}
+
+/**
+ * Summarizes delayed tasks by reason, responsible department and buyer. A task with several
+ * responsible departments counts fully for each of them.
+ * @param {Array} rows - [{ reasonCode, reasonName, daysLate, responsible, buyerId, buyerName }]
+ * @returns {Object} - { totals, byReason, byDepartment, byBuyer }, groups sorted by days lost.
+ */
+function summarizeDelays(rows) {
+  const byReason = new Map();
+  const byDepartment = new Map();
+  const byBuyer = new Map();
+
+  rows.forEach(row => {
+    addToGroup(byReason, row.reasonCode, { code: row.reasonCode, name: row.reasonName }, row.daysLate);
+    const departments = row.responsible && row.responsible.length > 0 ? row.responsible : ['Unassigned'];
+    departments.forEach(department => addToGroup(byDepartment, department, { department }, row.daysLate));
+    const buyerKey = row.buyerId ? String(row.buyerId) : 'none';
+    addToGroup(byBuyer, buyerKey, { buyerId: row.buyerId || null, name: row.buyerName || 'No buyer' }, row.daysLate);
+  });
+
+  return {
+    totals: {
+      tasks: rows.length,
+      daysLost: rows.reduce((sum, row) => sum + row.daysLate, 0)
+    },
+    byReason: sortByDaysLost(byReason),
+    byDepartment: sortByDaysLost(byDepartment),
+    byBuyer: sortByDaysLost(byBuyer)
+  };
+}
+
+module.exports = {
+  getDaysLate,
+  recordTaskDelay,
+  describeTaskDelay,
+  summarizeDelays,
+};
@@ -0,0 +1,187 @@
+const moment = require('moment');
+const Season = require('../models/Season');
+const SeasonSnapshot = require('../models/SeasonSnapshot');
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+const { dispatchNotification } = require('./notificationDispatcher');
+const { seasonLink, escapeHtml } = require('./emailTemplates');
+
+// Digest frequencies that replace the per-task emails
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Narrows a user query to the users who get per-task emails, i.e. who have no digest.
+ * @param {Object} query - A User query.
+ * @returns {Object} - The narrowed query.
+ */
+function withoutDigestUsers(query) {
+  return { ...query, digestFrequency: { $nin: DIGEST_FREQUENCIES } };
+}
+
+/**
+ * Returns the most recent time a digest of the frequency was due: today (or yesterday) at the
+ * digest hour for daily digests, the last digest weekday at that hour for weekly ones.
+ * @param {Date} now - The time of the run.
+ * @param {string} frequency - 'daily' or 'weekly'.
+ * @param {Object} schedule - The reminder schedule (digestHour, digestWeekday).
+ * @returns {Date}
+ */
+function getLatestDigestSlot(now, frequency, schedule) {
+  const slot = moment(now).startOf('day').hour(schedule.digestHour);
+  if (frequency === 'weekly') {
+    slot.day(schedule.digestWeekday);
+    if (slot.isAfter(now)) slot.subtract(1, 'week');
+  } else if (slot.isAfter(now)) {
+    slot.subtract(1, 'day');
+  }
+  return slot.toDate();
+}
+
+/**
+ * Collects the tasks of a department for a digest: tasks that became actionable since the
+ * last digest, tasks due within the reminder window and overdue tasks.
+ * @param {Array} seasons - [{ season, tasks }] of the Open seasons.
+ * @param {string} departmentName - The user's department.
+ * @param {Date} since - The last digest (or the start of the digest period).
+ * @param {Date} now - The time of the run.
+ * @param {Object} schedule - The reminder schedule (reminderDaysBefore).
+ * @returns {Object} - { newTasks, dueSoon, overdue } of { seasonId, seasonName, order, name, start, end }.
+ */
+function collectDigestTasks(seasons, departmentName, since, now, schedule) {
+  const today = moment(now).startOf('day');
+  const dueSoonLimit = today.clone().add(schedule.reminderDaysBefore, 'days');
+  const digest = { newTasks: [], dueSoon: [], overdue: [] };
+
+  seasons.forEach(({ season, tasks }) => {
+    tasks
+      .filter(task => task.status === 'pending' && (task.responsible || []).includes(departmentName))
+      .filter(task => task.computedDates && task.computedDates.start && task.computedDates.end)
+      .forEach(task => {
+        const entry = {
+          seasonId: season._id,
+          seasonName: season.name,
+          order: task.order,
+          name: task.name,
+          start: task.computedDates.start,
+          end: task.computedDates.end
+        };
+        const start = moment(task.computedDates.start);
+        const end = moment(task.computedDates.end).startOf('day');
+        if (start.isAfter(since) && !start.isAfter(now)) digest.newTasks.push(entry);
+        if (end.isBefore(today)) {
+          digest.overdue.push(entry);
+        } else if (!end.isAfter(dueSoonLimit)) {
+          digest.dueSoon.push(entry);
+        }
+      });
+  });
+
+  const byEnd = (a, b) => new Date(a.end) - new Date(b.end);
+  digest.newTasks.sort(byEnd);
+  digest.dueSoon.sort(byEnd);
+  digest.overdue.sort(byEnd);
+  return digest;
+}
+
+// Renders one section of the digest as an HTML table
+function renderDigestSection(title, entries, today) {
+  if (entries.length === 0) return '';
+  const rows = entries.map(entry => {
+    const daysOverdue = today.diff(moment(entry.end).startOf('day'), 'days');
+    return `<tr>
+        <td style="padding:4px 8px;"><a href="${seasonLink(entry.seasonId)}">${escapeHtml(entry.seasonName)}</a></td>
+        <td style="padding:4px 8px;">${escapeHtml(`${entry.order} - ${entry.name}`)}</td>
+        <td style="padding:4px 8px;">${moment(entry.end).format('DD-MMM-YY')}${daysOverdue > 0 ? ` <span style="color:red;">(${daysOverdue} day${daysOverdue > 1 ? 's' : ''} overdue)</span>` : ''}</td>
+      </tr>`;
+  }).join('');
+  return `
+    <h3>${title} (${entries.length})</h3>
+    <table border="1" cellspacing="0" style="border-collapse:collapse;font-size:13px;">
+      <tr style="background:#4F81BD;color:#fff;"><th style="padding:4px 8px;">Season</th><th style="padding:4px 8px;">Task</th><th style="padding:4px 8px;">End Date</th></tr>
+      ${rows}
+    </table>`;
+}
+
+/**
+ * Renders the task tables of a digest, inserted in the DIGEST email template as {{{tasks}}}.
+ * @param {Object} digest - The tasks from collectDigestTasks.
+ * @param {Date} now - The time of the run.
+ * @returns {string}
+ */
+function renderDigestHtml(digest, now) {
+  const today = moment(now).startOf('day');
+  return [
+    renderDigestSection('Overdue', digest.overdue, today),
+    renderDigestSection('Due soon', digest.dueSoon, today),
+    renderDigestSection('New tasks for your department', digest.newTasks, today)
+  ].join('');
+}
+
+/**
+ * Sends the daily and weekly digests that are due. A user's lastDigestSentAt is claimed before
+ * sending, so restarts and parallel runs do not send a digest twice. Empty digests are not sent,
+ * and seasons the user muted are left out.
+ * @param {Date} now - The time of the run.
+ * @param {Object} schedule - The reminder schedule.
+ * @returns {Promise<Object>} - { digestsSent }
+ */
+async function runDigestJobs(now, schedule) {
+  const result = { digestsSent: 0 };
+  const users = await User.find({ isActive: true, emailNotificationsEnabled: { $ne: false }, digestFrequency: { $in: DIGEST_FREQUENCIES } })
+    .select('firstName email department digestFrequency lastDigestSentAt')
+    .populate('department', 'name');
+  if (users.length === 0) return result;
+  const preferences = await NotificationPreference.find({ user: { $in: users.map(user => user._id) } });
+  const preferencesByUser = new Map(preferences.map(preference => [String(preference.user), preference]));
+
+  let seasons = null; // Loaded once, for the first user with a digest due
+  for (const user of users) {
+    const slot = getLatestDigestSlot(now, user.digestFrequency, schedule);
+    if (user.lastDigestSentAt && user.lastDigestSentAt >= slot) continue;
+
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, lastDigestSentAt: user.lastDigestSentAt },
+      { lastDigestSentAt: now }
+    );
+    if (!claimed || !user.department) continue;
+
+    if (!seasons) {
+      const openSeasons = await Season.find({ status: 'Open' }).select('name');
+      const snapshots = await SeasonSnapshot.find({ seasonId: { $in: openSeasons.map(s => s._id) } }).lean();
+      const tasksBySeason = new Map(snapshots.map(s => [String(s.seasonId), s.tasks]));
+      seasons = openSeasons.map(season => ({ season, tasks: tasksBySeason.get(String(season._id)) || [] }));
+    }
+
+    const since = user.lastDigestSentAt || moment(slot).subtract(1, user.digestFrequency === 'weekly' ? 'week' : 'day').toDate();
+    const preference = preferencesByUser.get(String(user._id));
+    const userSeasons = preference ? seasons.filter(({ season }) => preference.allows(null, season._id)) : seasons;
+    const digest = collectDigestTasks(userSeasons, user.department.name, since, now, schedule);
+    if (digest.newTasks.length + digest.dueSoon.length + digest.overdue.length === 0) continue;
+
+    // Digests are opted into with digestFrequency, so no event preference applies
+    const { sentTo } = await dispatchNotification({
+      event: null,
+      recipients: { _id: user._id },
+      template: 'DIGEST',
+      data: {
+        period: user.digestFrequency === 'weekly' ? 'Weekly' : 'Daily',
+        departmentName: user.department.name,
+        overdueCount: digest.overdue.length,
+        dueSoonCount: digest.dueSoon.length,
+        newCount: digest.newTasks.length,
+        tasks: renderDigestHtml(digest, now)
+      }
+    });
+    result.digestsSent += sentTo.length;
+  }
+  return result;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  withoutDigestUsers,
+  getLatestDigestSlot,
+  collectDigestTasks,
+  renderDigestHtml,
+  runDigestJobs,
+};
@@ -1,19 +1,92 @@
 const Season = require('../models/Season');
 const User = require('../models/User');
 const Department = require('../models/Department');
-const { sendEmail } = require('./emailService');
-const Setting = require('../models/Setting');
 const logActivity = require('./logActivity');
+const { loadCalendar, nextWorkingDay, addWorkingDays } = require('./workingCalendar');
+const { getDependencyLinks } = require('./dependencyGraph');
+const { calculateLatestDates } = require('./criticalPath');
+const { getCurrentPhase } = require('./seasonPhases');
+const { getOpenChecklistItems } = require('./checklist');
+const { canApproveTask, markTaskSubmitted, markTaskApproved, notifyApprovers } = require('./taskApproval');
+const { recordTaskDelay, describeTaskDelay } = require('./taskDelay');
+const { withoutDigestUsers } = require('./taskDigest');
+const { dispatchNotification, notifySeasonStatusChange, areEmailsEnabled } = require('./notificationDispatcher');
+const { seasonLink } = require('./emailTemplates');
 const moment = require('moment');
 
+/**
+ * Checks whether a task does not apply to the season, i.e. it was marked completed without
+ * ever being done (created from an inactive template, or skipped by a planner).
+ * @param {Object} task - The task to check.
+ * @returns {boolean}
+ */
+function isTaskNotApplicable(task) {
+  return task.status === 'completed' && !task.actualCompletion;
+}
+
+/**
+ * Checks whether a pending task can be worked on, i.e. all of its dependency links are satisfied:
+ * finish-to-start predecessors must be completed, start-to-start and finish-to-finish predecessors
+ * must have started (be completed or actionable themselves).
+ * @param {Object} task - The task to check.
+ * @param {Map} tasksMap - Map of order code to task for the whole snapshot.
+ * @param {Set} [visiting] - Internal guard against circular dependencies.
+ * @returns {boolean}
+ */
+function isTaskActionable(task, tasksMap, visiting = new Set()) {
+  if (!task || task.status !== 'pending' || visiting.has(task.order)) {
+    return false;
+  }
+  visiting.add(task.order);
+
+  const actionable = getDependencyLinks(task.precedingTasks, task.dependencyLinks).every(link => {
+    const predecessor = tasksMap.get(link.order);
+    if (!predecessor) {
+      return false;
+    }
+    if (link.type === 'FS') {
+      return predecessor.status === 'completed';
+    }
+    return isTaskStarted(predecessor, tasksMap, visiting);
+  });
+
+  visiting.delete(task.order);
+  return actionable;
+}
+
+/**
+ * Checks whether a task has started, i.e. it is completed, waiting for approval or can currently be worked on.
+ * @param {Object} task - The task to check.
+ * @param {Map} tasksMap - Map of order code to task for the whole snapshot.
+ * @param {Set} [visiting] - Internal guard against circular dependencies.
+ * @returns {boolean}
+ */
+function isTaskStarted(task, tasksMap, visiting) {
+  return task.status === 'completed' || task.status === 'pending_approval' || isTaskActionable(task, tasksMap, visiting);
+}
+
+/**
+ * Returns the pending tasks of a snapshot that can currently be worked on.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @returns {Array}
+ */
+function getActionableTasks(tasks) {
+  const tasksMap = new Map(tasks.map(t => [t.order, t]));
+  return tasks.filter(task => isTaskActionable(task, tasksMap));
+}
+
 /**
  * Recalculates the computed start and end dates for all tasks in a snapshot
  * based on their dependencies and actual completion dates.
  * This is an iterative process to handle chains of dependencies.
+ * Lead times and lags are counted in working days of the company calendar.
+ * Dependency types: FS starts after the predecessor's actual completion, SS starts after the
+ * predecessor's start, FF may start with the predecessor but cannot end before it.
  * @param {Array} tasks - The array of tasks from the snapshot.
  * @param {Date} seasonCreatedAt - The creation date of the season.
+ * @param {Object} [calendar] - The company calendar from workingCalendar.loadCalendar().
  */
-function recalculateAllTaskDates(tasks, seasonCreatedAt) {
+function recalculateAllTaskDates(tasks, seasonCreatedAt, calendar) {
   const tasksMap = new Map(tasks.map(t => [t.order, t]));
   let changedInIteration = true;
   let iterationCount = 0;
@@ -29,40 +102,76 @@ function recalculateAllTaskDates(tasks, seasonCreatedAt) {
         return;
       }
 
-      let allPredecessorsComplete = true;
-      let latestPredecessorCompletionDate = null;
+      let allPredecessorsReady = true;
+      let latestStartConstraint = null;
+      let latestEndConstraint = null;
+      const links = getDependencyLinks(task.precedingTasks, task.dependencyLinks);
 
       // If a task has no predecessors, its start date is the season creation date.
-      if (!task.precedingTasks || task.precedingTasks.length === 0) {
-        latestPredecessorCompletionDate = new Date(seasonCreatedAt);
+      if (links.length === 0) {
+        latestStartConstraint = new Date(seasonCreatedAt);
       } else {
-        // Find the latest completion date among all predecessors.
-        for (const predOrder of task.precedingTasks) {
-          const predecessor = tasksMap.get(predOrder);
-
-          // If any predecessor is not found or not complete, we cannot calculate this task's start date.
-          if (!predecessor || !predecessor.actualCompletion) {
-            allPredecessorsComplete = false;
+        // Find the latest start (and, for FF links, end) constraint among all predecessors.
+        for (const link of links) {
+          const predecessor = tasksMap.get(link.order);
+          if (!predecessor) {
+            allPredecessorsReady = false;
             break;
           }
 
-          const predCompletionDate = new Date(predecessor.actualCompletion);
-          if (!latestPredecessorCompletionDate || predCompletionDate > latestPredecessorCompletionDate) {
-            latestPredecessorCompletionDate = predCompletionDate;
+          let startConstraint;
+          if (link.type === 'FS') {
+            // Skipped or inactive predecessors pass their own start straight through to their successors.
+            const predFinish = predecessor.actualCompletion
+              || (isTaskNotApplicable(predecessor) && predecessor.computedDates ? predecessor.computedDates.end : null);
+            // If the predecessor is not complete, we cannot calculate this task's start date.
+            if (!predFinish) {
+              allPredecessorsReady = false;
+              break;
+            }
+            startConstraint = addWorkingDays(predFinish, link.lag, calendar);
+          } else {
+            // SS and FF links need the predecessor to be scheduled (or done).
+            const predStart = predecessor.computedDates && predecessor.computedDates.start
+              ? predecessor.computedDates.start
+              : predecessor.actualCompletion;
+            if (!predStart) {
+              allPredecessorsReady = false;
+              break;
+            }
+            if (link.type === 'SS') {
+              startConstraint = addWorkingDays(predStart, link.lag, calendar);
+            } else {
+              startConstraint = new Date(predStart);
+              const predEnd = predecessor.actualCompletion || predecessor.computedDates.end;
+              const endConstraint = addWorkingDays(predEnd, link.lag, calendar);
+              if (!latestEndConstraint || endConstraint > latestEndConstraint) {
+                latestEndConstraint = endConstraint;
+              }
+            }
+          }
+
+          if (!latestStartConstraint || startConstraint > latestStartConstraint) {
+            latestStartConstraint = startConstraint;
           }
         }
       }
 
-      // If all predecessors are complete, we can calculate the start date.
-      if (allPredecessorsComplete && latestPredecessorCompletionDate) {
-        const newStartDate = new Date(latestPredecessorCompletionDate);
+      // If all predecessors are ready, we can calculate the start date.
+      if (allPredecessorsReady && latestStartConstraint) {
+        // Work cannot start on a rest day or holiday, so roll forward to the next working day.
+        const newStartDate = nextWorkingDay(latestStartConstraint, calendar);
+        // Tasks that do not apply to this season take no time.
+        let newEndDate = isTaskNotApplicable(task) ? newStartDate : addWorkingDays(newStartDate, task.leadTime, calendar);
+        if (latestEndConstraint && latestEndConstraint > newEndDate) {
+          newEndDate = latestEndConstraint;
+        }
         const oldStart = task.computedDates.start ? new Date(task.computedDates.start).getTime() : null;
+        const oldEnd = task.computedDates.end ? new Date(task.computedDates.end).getTime() : null;
 
-        // Only update if the date has changed.
-        if (newStartDate.getTime() !== oldStart) {
+        // Only update if the dates have changed (the end can move on its own when holidays change).
+        if (newStartDate.getTime() !== oldStart || newEndDate.getTime() !== oldEnd) {
           task.computedDates.start = newStartDate;
-          const newEndDate = new Date(newStartDate);
-          newEndDate.setDate(newStartDate.getDate() + task.leadTime);
           task.computedDates.end = newEndDate;
           changedInIteration = true;
         }
@@ -80,52 +189,238 @@ function recalculateAllTaskDates(tasks, seasonCreatedAt) {
   if (iterationCount >= maxIterations) {
     console.error('ERROR: Date calculation exceeded max iterations. Check for circular dependencies.');
   }
+
+  calculateForecastDates(tasks, seasonCreatedAt, calendar);
 }
 
 /**
- * Updates the season's 'requireAttention' field based on the next pending task.
- * @param {Object} season - The Mongoose Season document.
+ * Projects start and end dates for every task in the snapshot, including tasks whose
+ * predecessors are not yet complete, by chaining planned end dates forward through the
+ * dependency graph (honouring dependency types and lags). Actual completions and already
+ * computed dates take precedence over the plan.
  * @param {Array} tasks - The array of tasks from the snapshot.
+ * @param {Date} seasonCreatedAt - The creation date of the season.
+ * @param {Object} [calendar] - The company calendar from workingCalendar.loadCalendar().
  */
-async function updateSeasonAttention(season, tasks) {
+function calculateForecastDates(tasks, seasonCreatedAt, calendar) {
   const tasksMap = new Map(tasks.map(t => [t.order, t]));
+  const forecasts = new Map();
+  const inProgress = new Set();
+
+  const forecastTask = (task) => {
+    if (forecasts.has(task.order)) {
+      return forecasts.get(task.order);
+    }
+    if (inProgress.has(task.order)) {
+      console.error(`ERROR: Circular dependency detected while forecasting task '${task.order}'.`);
+      return null;
+    }
+    inProgress.add(task.order);
+
+    // The chained start is the latest constraint from all predecessors (or the season creation date).
+    let chainedStart = new Date(seasonCreatedAt);
+    let chainedEnd = null;
+    for (const link of getDependencyLinks(task.precedingTasks, task.dependencyLinks)) {
+      const predecessor = tasksMap.get(link.order);
+      const predForecast = predecessor ? forecastTask(predecessor) : null;
+      if (!predForecast) continue;
+
+      let startConstraint;
+      if (link.type === 'FS') {
+        startConstraint = addWorkingDays(predForecast.end, link.lag, calendar);
+      } else if (link.type === 'SS') {
+        startConstraint = addWorkingDays(predForecast.start, link.lag, calendar);
+      } else {
+        startConstraint = predForecast.start;
+        const endConstraint = addWorkingDays(predForecast.end, link.lag, calendar);
+        if (!chainedEnd || endConstraint > chainedEnd) chainedEnd = endConstraint;
+      }
+      if (startConstraint > chainedStart) {
+        chainedStart = startConstraint;
+      }
+    }
+    chainedStart = nextWorkingDay(chainedStart, calendar);
+
+    let forecast;
+    if (task.actualCompletion) {
+      forecast = {
+        start: task.computedDates && task.computedDates.start ? new Date(task.computedDates.start) : chainedStart,
+        end: new Date(task.actualCompletion)
+      };
+    } else if (isTaskNotApplicable(task)) {
+      // Tasks completed without a date (inactive templates, skipped tasks) take no time in the forecast.
+      forecast = { start: chainedStart, end: chainedStart };
+    } else if (task.computedDates && task.computedDates.start && task.computedDates.end) {
+      forecast = { start: new Date(task.computedDates.start), end: new Date(task.computedDates.end) };
+    } else {
+      let end = addWorkingDays(chainedStart, task.leadTime, calendar);
+      if (chainedEnd && chainedEnd > end) end = chainedEnd;
+      forecast = { start: chainedStart, end };
+    }
+
+    inProgress.delete(task.order);
+    forecasts.set(task.order, forecast);
+    return forecast;
+  };
+
+  tasks.forEach(task => {
+    if (!task) return;
+    const forecast = forecastTask(task);
+    task.forecastDates = forecast ? { start: forecast.start, end: forecast.end } : { start: null, end: null };
+  });
+}
 
+/**
+ * Returns the forecast finish date of a season, i.e. the latest forecast end of its tasks.
+ * @param {Array} tasks - The array of tasks from the snapshot (after recalculateAllTaskDates).
+ * @returns {Date|null}
+ */
+function getForecastFinishDate(tasks) {
+  let finishDate = null;
+  tasks.forEach(task => {
+    const end = task.forecastDates && task.forecastDates.end ? new Date(task.forecastDates.end) : null;
+    if (end && (!finishDate || end > finishDate)) {
+      finishDate = end;
+    }
+  });
+  return finishDate;
+}
+
+/**
+ * Recalculates the whole schedule of a season: computed and forecast dates, the forecast finish date
+ * and, when the season has a target delivery date, the backward-scheduled latest dates of every task
+ * and whether the forecast overshoots the delivery date. The caller saves the season and snapshot.
+ * @param {Object} season - The Mongoose Season document.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ * @param {Object} [calendar] - The company calendar from workingCalendar.loadCalendar().
+ */
+function updateSeasonSchedule(season, tasks, calendar) {
+  recalculateAllTaskDates(tasks, season.createdAt, calendar);
+  season.forecastFinishDate = getForecastFinishDate(tasks);
+
+  if (season.targetDeliveryDate) {
+    try {
+      calculateLatestDates(tasks, season.targetDeliveryDate, calendar);
+    } catch (error) {
+      console.error(`Could not backward-schedule season ${season._id}:`, error.message);
+    }
+    season.isLateVsDelivery = !!season.forecastFinishDate
+      && moment(season.forecastFinishDate).isAfter(season.targetDeliveryDate, 'day');
+  } else {
+    tasks.forEach(task => {
+      task.latestDates = { start: null, end: null };
+    });
+    season.isLateVsDelivery = false;
+  }
+}
+
+/**
+ * Updates the season's 'requireAttention' field based on the next pending task, and its current phase.
+ * @param {Object} season - The Mongoose Season document.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ */
+async function updateSeasonAttention(season, tasks) {
   // Determine which departments are currently required
   const currentRequireAttention = new Set();
-  tasks.forEach(task => {
-    if (task.status === 'pending') {
-      const predecessors = task.precedingTasks || [];
-      const allPredecessorsComplete = predecessors.every(predOrder => {
-        const predecessor = tasksMap.get(predOrder);
-        return predecessor && predecessor.status === 'completed';
+  getActionableTasks(tasks).forEach(task => {
+    if (task.responsible && Array.isArray(task.responsible)) {
+      task.responsible.forEach(deptName => {
+        if (deptName) { // Filter out any null or undefined values
+          currentRequireAttention.add(deptName);
+        }
       });
+    }
+  });
 
-      if (allPredecessorsComplete) {
-        if (task.responsible && Array.isArray(task.responsible)) {
-          task.responsible.forEach(deptName => {
-            if (deptName) { // Filter out any null or undefined values
-              currentRequireAttention.add(deptName);
-            }
-          });
-        }
-      }
+  // Completions waiting for approval need the approver department (planners approve the others)
+  tasks.forEach(task => {
+    if (task.status === 'pending_approval' && task.approverDepartment) {
+      currentRequireAttention.add(task.approverDepartment);
     }
   });
 
   // Update the season's requireAttention field
   season.requireAttention = Array.from(currentRequireAttention);
+  season.currentPhase = getCurrentPhase(tasks);
   // The season is saved in the calling function (updateTaskAndProgressSeason)
 }
 
+/**
+ * Checks that a task can be completed: FS and FF predecessors must be done, SS predecessors started
+ * and, when the checklist is required, every checklist item ticked. Throws an error with a status otherwise.
+ * @param {Object} task - The task to complete.
+ * @param {Array} tasks - The array of tasks from the snapshot.
+ */
+function validateTaskCompletion(task, tasks) {
+  const tasksMap = new Map(tasks.map(t => [t.order, t]));
+  for (const link of getDependencyLinks(task.precedingTasks, task.dependencyLinks)) {
+    const predecessor = tasksMap.get(link.order);
+    if (!predecessor) {
+      const error = new Error(`Cannot complete task. Preceding task '${link.order}' was not found.`);
+      error.status = 400;
+      throw error;
+    }
+    if (link.type === 'SS' && !isTaskStarted(predecessor, tasksMap)) {
+      const error = new Error(`Cannot complete task. Preceding task '${predecessor.name}' (${predecessor.order}) has not started.`);
+      error.status = 400;
+      throw error;
+    }
+    if (link.type !== 'SS' && predecessor.status !== 'completed') {
+      const error = new Error(`Cannot complete task. Preceding task '${predecessor.name}' (${predecessor.order}) is not done.`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  const openChecklistItems = getOpenChecklistItems(task);
+  if (task.checklistRequired && openChecklistItems.length > 0) {
+    const error = new Error(`Cannot complete task. Checklist item(s) not ticked: ${openChecklistItems.map(item => item.label).join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Loads the season of a snapshot, throwing a 404 error when it no longer exists
+async function loadSnapshotSeason(snapshot) {
+  const season = await Season.findById(snapshot.seasonId);
+  if (!season) {
+    const error = new Error('Associated season not found');
+    error.status = 404;
+    throw error;
+  }
+  return season;
+}
+
+// Submits the completion of a task flagged for approval: no progression runs until it is approved
+async function submitTaskCompletion(userId, snapshot, task, proposedCompletion, evidence) {
+  markTaskSubmitted(task, userId, proposedCompletion, evidence);
+  await logActivity({
+    user: { _id: userId },
+    task: task,
+    seasonId: snapshot.seasonId,
+    action: 'SUBMIT_APPROVAL',
+    details: `Completion of task "${task.name}" on ${moment(proposedCompletion).format('DD-MMM-YY')} submitted for approval${task.approval.evidence ? `. Evidence: ${task.approval.evidence}` : ''}.`
+  });
+
+  const season = await loadSnapshotSeason(snapshot);
+  await updateSeasonAttention(season, snapshot.tasks);
+  await season.save();
+  await snapshot.save();
+  await notifyApprovers(season, task);
+
+  return { hasChanged: true, updatedTasks: snapshot.tasks, message: 'Completion submitted for approval.' };
+}
+
 /**
  * Main function to handle task completion and season progression.
+ * Tasks flagged for approval are submitted instead of completed when the user cannot approve them.
  * @param {Object} snapshot - The Mongoose SeasonSnapshot document.
  * @param {string} taskId - The ID of the task being updated.
- * @param {Object} updateData - The data for the update, e.g., { actualCompletion, remarks }.
+ * @param {Object} updateData - The data for the update, e.g., { actualCompletion, remarks, evidence, delayReason, delayNote }.
  * @returns {Object} - The updated task document.
  */
 async function updateTaskAndProgressSeason(userId, snapshot, taskId, updateData) {
-  const user = await User.findById(userId).select('role');
+  const user = await User.findById(userId).select('role department');
   if (!user) {
     const error = new Error('User not found.');
     error.status = 404;
@@ -142,6 +437,9 @@ async function updateTaskAndProgressSeason(userId, snapshot, taskId, updateData)
     throw error;
   }
 
+  // Remember which tasks were already actionable so only newly unblocked ones are notified
+  const actionableBeforeUpdate = new Set(getActionableTasks(snapshot.tasks).map(t => String(t._id)));
+
   let hasChanged = false;
 
   // Handle remarks update
@@ -177,15 +475,27 @@ async function updateTaskAndProgressSeason(userId, snapshot, taskId, updateData)
         throw error;
       }
 
-      // Validate prerequisites before completing
-      const tasksMap = new Map(snapshot.tasks.map(t => [t.order, t]));
-      for (const predOrder of task.precedingTasks) {
-        const predecessor = tasksMap.get(predOrder);
-        if (!predecessor || predecessor.status !== 'completed') {
-          const error = new Error(`Cannot complete task. Preceding task '${predecessor.name}' (${predecessor.order}) is not done.`);
-          error.status = 400;
-          throw error;
+      validateTaskCompletion(task, snapshot.tasks);
+
+      // Late completions need a delay reason; it is kept with a submission for approval
+      const delay = await recordTaskDelay(task, userId, newActualCompletion, updateData);
+      if (delay) {
+        await logActivity({
+          user: { _id: userId },
+          task: task,
+          seasonId: snapshot.seasonId,
+          action: 'RECORD_DELAY',
+          details: describeTaskDelay(task, delay)
+        });
+      }
+
+      // Tasks flagged for approval wait for an approver, unless the user may approve them
+      if (task.requiresApproval && task.status !== 'completed') {
+        const userDepartment = await Department.findById(user.department).select('name');
+        if (!canApproveTask(user, userDepartment ? userDepartment.name : null, task)) {
+          return submitTaskCompletion(userId, snapshot, task, newActualCompletion, updateData.evidence);
         }
+        markTaskApproved(task, userId);
       }
 
       task.actualCompletion = newActualCompletion;
@@ -210,66 +520,57 @@ async function updateTaskAndProgressSeason(userId, snapshot, taskId, updateData)
     return { hasChanged: false, updatedTasks: snapshot.tasks, message: 'No changes detected in task.' };
   }
 
-  const season = await Season.findById(snapshot.seasonId);
-  if (!season) {
-    const error = new Error('Associated season not found');
-    error.status = 404;
-    throw error;
-  }
+  return progressSeason(userId, snapshot, actionableBeforeUpdate);
+}
 
-  recalculateAllTaskDates(snapshot.tasks, season.createdAt);
+/**
+ * Runs the season progression after a task changed: recalculates the schedule, notifies the departments
+ * of newly actionable tasks, refreshes requireAttention, saves the season and snapshot and closes the
+ * season once every task is completed.
+ * @param {string} userId - The ID of the user whose change triggered the progression.
+ * @param {Object} snapshot - The Mongoose SeasonSnapshot document (with the change applied).
+ * @param {Set<string>} actionableBeforeUpdate - IDs of the tasks that were actionable before the change.
+ * @returns {Object} - { hasChanged, updatedTasks }
+ */
+async function progressSeason(userId, snapshot, actionableBeforeUpdate) {
+  const season = await loadSnapshotSeason(snapshot);
 
-  // Identify newly actionable tasks and send notifications
-  const newlyActionableTasks = [];
-  if (task.status === 'completed') {
-    snapshot.tasks.forEach(potentialSubsequentTask => {
-      if (potentialSubsequentTask.status === 'pending' && potentialSubsequentTask.precedingTasks.includes(task.order)) {
-        const allPredecessorsComplete = potentialSubsequentTask.precedingTasks.every(predOrder => {
-            const predecessor = snapshot.tasks.find(t => t.order === predOrder);
-            return predecessor && predecessor.status === 'completed';
-        });
+  const calendar = await loadCalendar();
+  updateSeasonSchedule(season, snapshot.tasks, calendar);
 
-        if (allPredecessorsComplete) {
-            newlyActionableTasks.push(potentialSubsequentTask);
-        }
-      }
-    });
-  }
+  // Identify newly actionable tasks and send notifications
+  const newlyActionableTasks = getActionableTasks(snapshot.tasks)
+    .filter(t => !actionableBeforeUpdate.has(String(t._id)));
   
-  if (newlyActionableTasks.length > 0) {
-    try {
-      const emailSetting = await Setting.findOne({ key: 'emailNotificationsEnabled' });
-      if (emailSetting && emailSetting.value === true) {
-        for (const subsequentTask of newlyActionableTasks) {
-          const responsibleDepartments = subsequentTask.responsible || [];
-          const departments = await Department.find({ name: { $in: responsibleDepartments } });
-          const departmentIds = departments.map(d => d._id);
-          
-          if (departmentIds.length > 0) {
-            const usersToNotify = await User.find({ department: { $in: departmentIds } }).select('email');
-            if (usersToNotify.length > 0) {
-              const subject = `Action Required: Task "${subsequentTask.name}" for Season ${season.name}`;
-              const seasonUrl = `${process.env.CLIENT_URL}/seasons/${season._id}`;
-              const html = `
-                <p>Hello,</p>
-                <p>A new task now requires your department's attention for the season: <strong style="color:red;">${season.name}</strong>.</p>
-                <p>Task: <strong style="color:red;">${subsequentTask.name}</strong></p>
-                <p>Please <a href="${seasonUrl}">click here</a> to view the season details.</p>
-                <p>Thank you,</p>
-                <p>PRODUCTION Timeline System</p>
-                <p style="font-size:10px;color:#666;">Copyright © 2025 GLENSON_ENCODE SYSTEMS</p>
-              `;
-
-              for (const user of usersToNotify) {
-                await sendEmail({ seasonId: season._id, to: user.email, subject, html, taskName: subsequentTask.name });
-              }
+  try {
+    if (newlyActionableTasks.length > 0 && await areEmailsEnabled()) {
+      for (const subsequentTask of newlyActionableTasks) {
+        const responsibleDepartments = subsequentTask.responsible || [];
+        const departments = await Department.find({ name: { $in: responsibleDepartments } });
+        const departmentIds = departments.map(d => d._id);
+
+        if (departmentIds.length > 0) {
+          await dispatchNotification({
+            event: 'TASK_ACTIONABLE',
+            seasonId: season._id,
+            // Users with a digest find newly actionable tasks in it
+            recipients: withoutDigestUsers({ department: { $in: departmentIds } }),
+            template: 'TASK_ACTIONABLE',
+            data: {
+              seasonName: season.name,
+              taskName: subsequentTask.name,
+              departments: responsibleDepartments.join(', '),
+              dueDate: subsequentTask.computedDates && subsequentTask.computedDates.end
+                ? moment(subsequentTask.computedDates.end).format('DD-MMM-YY')
+                : '',
+              link: seasonLink(season._id)
             }
-          }
+          });
         }
       }
-    } catch (error) {
-      console.error('Error during email notification process:', error);
     }
+  } catch (error) {
+    console.error('Error during email notification process:', error);
   }
 
   await updateSeasonAttention(season, snapshot.tasks);
@@ -277,26 +578,51 @@ async function updateTaskAndProgressSeason(userId, snapshot, taskId, updateData)
   await season.save();
   await snapshot.save();
 
-  
-  // Check if all tasks are completed to auto-close the season
-  const allTasksCompleted = snapshot.tasks.every(t => t.status === 'completed');
+  await closeSeasonIfCompleted(season, snapshot.tasks, userId);
 
-  if (allTasksCompleted && season.status !== 'Closed') {
-    const oldStatus = season.status;
-    season.status = 'Closed';
-    season.requireAttention = []; // Clear requireAttention as per rules for Closed status
-    await season.save();
+  return { hasChanged: true, updatedTasks: snapshot.tasks };
+}
 
-    // Log the auto-closure by the system
-    await logActivity({
-      user: { _id: userId }, // Action triggered by this user completing the last task
-      seasonId: snapshot.seasonId,
-      action: 'UPDATE_STATUS',
-      details: `Season status automatically updated from "${oldStatus}" to "Closed" as all tasks are now completed.`
-    });
+/**
+ * Closes a season once every task is completed: logs the status change and notifies the planners.
+ * @param {Object} season - The Mongoose Season document; saved when it is closed.
+ * @param {Array} tasks - The snapshot tasks of the season.
+ * @param {string} userId - The ID of the user whose change completed the last task.
+ * @returns {Promise<boolean>} - Whether the season was closed.
+ */
+async function closeSeasonIfCompleted(season, tasks, userId) {
+  const allTasksCompleted = tasks.length > 0 && tasks.every(t => t.status === 'completed');
+  if (!allTasksCompleted || season.status === 'Closed') {
+    return false;
   }
 
-  return { hasChanged: true, updatedTasks: snapshot.tasks };
+  const oldStatus = season.status;
+  season.status = 'Closed';
+  season.requireAttention = []; // Clear requireAttention as per rules for Closed status
+  await season.save();
+
+  // Log the auto-closure by the system
+  await logActivity({
+    user: { _id: userId }, // Action triggered by this user completing the last task
+    seasonId: season._id,
+    action: 'UPDATE_STATUS',
+    details: `Season status automatically updated from "${oldStatus}" to "Closed" as all tasks are now completed.`
+  });
+  await notifySeasonStatusChange(season, oldStatus);
+  return true;
 }
 
-module.exports = { updateTaskAndProgressSeason, updateSeasonAttention, recalculateAllTaskDates };
+module.exports = {
+  updateTaskAndProgressSeason,
+  validateTaskCompletion,
+  progressSeason,
+  closeSeasonIfCompleted,
+  updateSeasonAttention,
+  recalculateAllTaskDates,
+  calculateForecastDates,
+  getForecastFinishDate,
+  updateSeasonSchedule,
+  getActionableTasks,
+  isTaskStarted,
+  isTaskNotApplicable,
+};
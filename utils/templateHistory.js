@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const TaskTemplate = require('../models/TaskTemplate');
+const TemplateSet = require('../models/TemplateSet');
+const TemplateRevision = require('../models/TemplateRevision');
+const { formatDependencies, compareOrderCodes } = require('./dependencyGraph');
+
+// Copies the fields of a template that make up the production process
+function copyTemplate(template) {
+  return {
+    templateId: template._id,
+    order: template.order,
+    name: template.name,
+    defaultResponsible: [...(template.defaultResponsible || [])],
+    defaultPrecedingTasks: [...(template.defaultPrecedingTasks || [])],
+    defaultDependencyLinks: (template.defaultDependencyLinks || []).map(link => ({ order: link.order, type: link.type, lag: link.lag })),
+    defaultLeadTime: template.defaultLeadTime,
+    applicabilityRule: template.applicabilityRule || '',
+    inapplicableBehavior: template.inapplicableBehavior || 'complete',
+    phase: template.phase || null,
+    isMilestone: !!template.isMilestone,
+    defaultChecklist: [...(template.defaultChecklist || [])],
+    checklistRequired: !!template.checklistRequired,
+    requiresApproval: !!template.requiresApproval,
+    approverDepartment: template.approverDepartment || null,
+    isActive: template.isActive
+  };
+}
+
+/**
+ * Records a new revision holding the current state of every template in a set.
+ * @param {Object} options
+ * @param {string} options.templateSetId - The ID of the template set that changed.
+ * @param {string} options.action - The revision action (see the TemplateRevision schema).
+ * @param {string} [options.summary] - A human readable description of the change.
+ * @param {Object} [options.user] - The user who made the change.
+ * @returns {Promise<Object>} - The saved TemplateRevision document.
+ */
+async function recordTemplateRevision({ templateSetId, action, summary, user }) {
+  const [templates, latest] = await Promise.all([
+    TaskTemplate.find({ templateSet: templateSetId }).lean(),
+    TemplateRevision.findOne({ templateSet: templateSetId }).sort({ revision: -1 }).select('revision')
+  ]);
+
+  return TemplateRevision.create({
+    templateSet: templateSetId,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    summary,
+    templates: templates.sort((a, b) => compareOrderCodes(a.order, b.order)).map(copyTemplate),
+    changedBy: user ? user._id : undefined
+  });
+}
+
+/**
+ * Records a baseline revision for every template set that has no history yet,
+ * so the first change to a set can be compared with (and rolled back to) its prior state.
+ */
+async function ensureBaselineRevisions() {
+  const templateSets = await TemplateSet.find().select('_id');
+  for (const templateSet of templateSets) {
+    const hasHistory = await TemplateRevision.exists({ templateSet: templateSet._id });
+    if (!hasHistory) {
+      await recordTemplateRevision({ templateSetId: templateSet._id, action: 'BASELINE', summary: 'Templates before revision history was enabled.' });
+    }
+  }
+}
+
+let transactionsSupported = null;
+
+// Whether the database supports transactions (a replica set or a sharded cluster, not a standalone server)
+async function supportsTransactions() {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = !!(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+}
+
+// Puts the templates of a set back as they were, document by document: templates created by the change
+// are removed, the others moved to temporary codes and replaced, so the (templateSet, order) index
+// never sees the same code twice
+async function restoreTemplates(templateSetId, previousTemplates) {
+  const previousIds = previousTemplates.map(t => t._id);
+  await TaskTemplate.deleteMany({ templateSet: templateSetId, _id: { $nin: previousIds } });
+  if (previousTemplates.length === 0) return;
+  await TaskTemplate.bulkWrite([
+    ...previousTemplates.map(t => ({ updateOne: { filter: { _id: t._id }, update: { $set: { order: `~${t._id}` } } } })),
+    ...previousTemplates.map(t => ({ replaceOne: { filter: { _id: t._id }, replacement: t, upsert: true } }))
+  ], { ordered: true });
+}
+
+/**
+ * Runs a multi-document change to the templates of a set (and any documents that change with them)
+ * all or nothing. With transaction support the change runs in a transaction, so nothing is visible
+ * until it commits. On a standalone server the set is locked for the change instead (other template
+ * changes and copies wait, see TemplateSet.assertNotChanging) and a failed change puts the templates back.
+ * @param {string} templateSetId - The ID of the template set that changes.
+ * @param {Function} change - Async function (session) making the writes, passing `session` (null without
+ *   a transaction) to each; it may run more than once if the transaction is retried. Its result is returned.
+ * @returns {Promise<*>}
+ */
+async function withTemplateSetChange(templateSetId, change) {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await change(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const lock = await TemplateSet.lockForChange(templateSetId);
+  try {
+    const previousTemplates = await TaskTemplate.find({ templateSet: templateSetId }).lean();
+    try {
+      return await change(null);
+    } catch (error) {
+      await restoreTemplates(templateSetId, previousTemplates);
+      throw error;
+    }
+  } finally {
+    await TemplateSet.unlockChange(templateSetId, lock);
+  }
+}
+
+/**
+ * Compares two states of a template set. Templates are matched by their ID so that
+ * a changed order code shows up as an update rather than a removal and an addition.
+ * @param {Array} fromTemplates - The older templates (a revision's `templates`, or [] for none).
+ * @param {Array} toTemplates - The newer templates.
+ * @returns {Array} - Changes as { type: 'ADD_TEMPLATE' | 'UPDATE_TEMPLATE' | 'REMOVE_TEMPLATE', order, name, fields }.
+ */
+function diffTemplateRevisions(fromTemplates, toTemplates) {
+  const fromById = new Map(fromTemplates.map(t => [String(t.templateId), t]));
+  const toIds = new Set(toTemplates.map(t => String(t.templateId)));
+  const changes = [];
+
+  toTemplates.forEach(to => {
+    const from = fromById.get(String(to.templateId));
+    if (!from) {
+      changes.push({ type: 'ADD_TEMPLATE', order: to.order, name: to.name, fields: [] });
+      return;
+    }
+
+    const fields = [];
+    const compare = (field, fromValue, toValue) => {
+      if (fromValue !== toValue) fields.push({ field, from: fromValue, to: toValue });
+    };
+    compare('order', from.order, to.order);
+    compare('name', from.name, to.name);
+    compare('defaultResponsible', (from.defaultResponsible || []).join(', '), (to.defaultResponsible || []).join(', '));
+    compare('defaultPrecedingTasks',
+      formatDependencies(from.defaultPrecedingTasks, from.defaultDependencyLinks),
+      formatDependencies(to.defaultPrecedingTasks, to.defaultDependencyLinks));
+    compare('defaultLeadTime', from.defaultLeadTime, to.defaultLeadTime);
+    compare('applicabilityRule', from.applicabilityRule || '', to.applicabilityRule || '');
+    compare('inapplicableBehavior', from.inapplicableBehavior || 'complete', to.inapplicableBehavior || 'complete');
+    compare('phase', from.phase || '', to.phase || '');
+    compare('isMilestone', !!from.isMilestone, !!to.isMilestone);
+    compare('defaultChecklist', (from.defaultChecklist || []).join('; '), (to.defaultChecklist || []).join('; '));
+    compare('checklistRequired', !!from.checklistRequired, !!to.checklistRequired);
+    compare('requiresApproval', !!from.requiresApproval, !!to.requiresApproval);
+    compare('approverDepartment', from.approverDepartment || '', to.approverDepartment || '');
+    compare('isActive', from.isActive, to.isActive);
+
+    if (fields.length > 0) {
+      changes.push({ type: 'UPDATE_TEMPLATE', order: to.order, name: to.name, fields });
+    }
+  });
+
+  fromTemplates.forEach(from => {
+    if (!toIds.has(String(from.templateId))) {
+      changes.push({ type: 'REMOVE_TEMPLATE', order: from.order, name: from.name, fields: [] });
+    }
+  });
+
+  return changes.sort((a, b) => compareOrderCodes(a.order, b.order));
+}
+
+module.exports = {
+  recordTemplateRevision,
+  ensureBaselineRevisions,
+  withTemplateSetChange,
+  diffTemplateRevisions,
+};
@@ -0,0 +1,275 @@
+const { formatDependencies, rewireDependents, compareOrderCodes, renameDependencies } = require('./dependencyGraph');
+const { evaluateRule } = require('./ruleExpression');
+const { buildChecklist, mergeChecklist } = require('./checklist');
+const { pendingApprovalMessage } = require('./taskApproval');
+
+/**
+ * Checks a template's applicability rule against season attributes.
+ * Rules are validated when templates are saved; a rule that still fails to evaluate applies.
+ * @param {Object} template - The TaskTemplate document.
+ * @param {Object} [attributes] - The season attributes as a plain object.
+ * @returns {boolean}
+ */
+function isTemplateApplicable(template, attributes = {}) {
+  try {
+    return evaluateRule(template.applicabilityRule, attributes);
+  } catch (error) {
+    console.error(`Could not evaluate applicability rule of template '${template.order}':`, error.message);
+    return true;
+  }
+}
+
+/**
+ * Builds a snapshot task from a task template, as done on season creation.
+ * @param {Object} template - The TaskTemplate document.
+ * @param {Object} [attributes] - The season attributes as a plain object, for the applicability rule.
+ * @returns {Object} - A plain snapshot task object.
+ */
+function buildSnapshotTask(template, attributes = {}) {
+  const ruleMatched = isTemplateApplicable(template, attributes);
+  return {
+    order: template.order,
+    name: template.name,
+    responsible: template.defaultResponsible || [],
+    precedingTasks: template.defaultPrecedingTasks || [],
+    dependencyLinks: template.defaultDependencyLinks || [],
+    // Defensive check: Use template's lead time, or default to 1 day if it's missing (to handle old data).
+    leadTime: template.defaultLeadTime || 1,
+    sourceTemplateActiveOnCreation: template.isActive,
+    sourceRuleMatchedOnCreation: ruleMatched,
+    phase: template.phase || null,
+    isMilestone: !!template.isMilestone,
+    checklist: buildChecklist(template.defaultChecklist),
+    checklistRequired: !!template.checklistRequired,
+    requiresApproval: !!template.requiresApproval,
+    approverDepartment: template.approverDepartment || null,
+    // If template inactive or not applicable to the season, mark task as completed
+    status: template.isActive && ruleMatched ? 'pending' : 'completed',
+    computedDates: { start: null, end: null } // Initialize computedDates object
+  };
+}
+
+/**
+ * Builds the snapshot tasks of a new season. Templates whose rule does not match the season
+ * attributes are auto-completed, or left out when their inapplicableBehavior is 'exclude'
+ * (their dependents then inherit their preceding tasks).
+ * @param {Array} templates - All TaskTemplate documents of the season's template set.
+ * @param {Object} [attributes] - The season attributes as a plain object.
+ * @returns {Array} - Plain snapshot task objects.
+ */
+function buildSnapshotTasks(templates, attributes = {}) {
+  const tasks = templates.map(template => buildSnapshotTask(template, attributes));
+  templates.forEach((template, index) => {
+    if (template.inapplicableBehavior === 'exclude' && !tasks[index].sourceRuleMatchedOnCreation) {
+      rewireDependents(tasks, tasks[index]);
+    }
+  });
+  return tasks.filter((task, index) => !(templates[index].inapplicableBehavior === 'exclude' && !task.sourceRuleMatchedOnCreation));
+}
+
+// The snapshot tasks the templates produce for a season with these attributes, by order code.
+// Templates excluded by their rule have no entry; their dependents are already re-wired.
+function buildExpectedTasks(templates, attributes) {
+  return new Map(buildSnapshotTasks(templates, attributes).map(t => [t.order, t]));
+}
+
+// Helper function to compare the definition fields of a snapshot task and the task its template produces
+function diffTaskDefinition(task, expected) {
+  const fieldChanges = [];
+  const compare = (field, from, to) => {
+    if (from !== to) fieldChanges.push({ field, from, to });
+  };
+
+  compare('name', task.name, expected.name);
+  compare('responsible', (task.responsible || []).join(', '), expected.responsible.join(', '));
+  compare('precedingTasks',
+    formatDependencies(task.precedingTasks, task.dependencyLinks),
+    formatDependencies(expected.precedingTasks, expected.dependencyLinks));
+  compare('leadTime', task.leadTime, expected.leadTime);
+  compare('phase', task.phase || '', expected.phase || '');
+  compare('isMilestone', !!task.isMilestone, expected.isMilestone);
+  compare('checklist', (task.checklist || []).map(item => item.label).join('; '), expected.checklist.map(item => item.label).join('; '));
+  compare('checklistRequired', !!task.checklistRequired, expected.checklistRequired);
+  compare('requiresApproval', !!task.requiresApproval, expected.requiresApproval);
+  compare('approverDepartment', task.approverDepartment || '', expected.approverDepartment || '');
+  compare('isActive', !!task.sourceTemplateActiveOnCreation, expected.sourceTemplateActiveOnCreation);
+
+  return fieldChanges;
+}
+
+/**
+ * Compares a season snapshot with the current task templates. Custom (ad-hoc) tasks are ignored,
+ * and templates excluded from the season by their applicability rule are not proposed for adding.
+ * @param {Object} snapshot - The SeasonSnapshot document.
+ * @param {Array} templates - All TaskTemplate documents (active and inactive).
+ * @param {Object} [attributes] - The season attributes as a plain object.
+ * @returns {Array} - Changes as { type: 'ADD_TASK' | 'UPDATE_TASK' | 'REMOVE_TASK', order, name, fields, isCompleted }.
+ */
+function diffSnapshotWithTemplates(snapshot, templates, attributes = {}) {
+  const templatesByOrder = new Map(templates.map(t => [t.order, t]));
+  const tasksByOrder = new Map(snapshot.tasks.map(t => [t.order, t]));
+  const expectedByOrder = buildExpectedTasks(templates, attributes);
+  const changes = [];
+
+  templates.forEach(template => {
+    const task = tasksByOrder.get(template.order);
+    const expected = expectedByOrder.get(template.order);
+    if (!task) {
+      // Inactive and excluded templates are only relevant for existing tasks
+      if (template.isActive && expected) {
+        changes.push({ type: 'ADD_TASK', order: template.order, name: template.name, fields: [], isCompleted: false });
+      }
+      return;
+    }
+    if (task.isCustom) return;
+
+    const fields = diffTaskDefinition(task, expected || buildSnapshotTask(template, attributes));
+    if (fields.length > 0) {
+      changes.push({ type: 'UPDATE_TASK', order: task.order, name: task.name, fields, isCompleted: task.status === 'completed' });
+    }
+  });
+
+  snapshot.tasks.forEach(task => {
+    if (!task.isCustom && !templatesByOrder.has(task.order)) {
+      changes.push({ type: 'REMOVE_TASK', order: task.order, name: task.name, fields: [], isCompleted: task.status === 'completed' });
+    }
+  });
+
+  return changes.sort((a, b) => compareOrderCodes(a.order, b.order));
+}
+
+/**
+ * Applies template changes to a snapshot in memory. Completed tasks keep their actual completion
+ * and status; completed tasks and tasks waiting for completion approval are never removed. A deactivated template completes its open task
+ * (without a date), a reactivated one reopens the task auto-completed for it. The caller validates,
+ * recalculates and saves.
+ * @param {Object} snapshot - The SeasonSnapshot document.
+ * @param {Array} templates - All TaskTemplate documents (active and inactive).
+ * @param {Array<string>} [orders] - Order codes to apply; all changes are applied when omitted.
+ * @param {Object} [attributes] - The season attributes as a plain object.
+ * @returns {Object} - { applied, skipped } lists of changes.
+ */
+function applyTemplateChanges(snapshot, templates, orders, attributes = {}) {
+  const templatesByOrder = new Map(templates.map(t => [t.order, t]));
+  const expectedByOrder = buildExpectedTasks(templates, attributes);
+  const selectedOrders = Array.isArray(orders) ? new Set(orders) : null;
+  const applied = [];
+  const skipped = [];
+
+  diffSnapshotWithTemplates(snapshot, templates, attributes).forEach(change => {
+    if (selectedOrders && !selectedOrders.has(change.order)) return;
+
+    const template = templatesByOrder.get(change.order);
+    const expected = expectedByOrder.get(change.order) || (template && buildSnapshotTask(template, attributes));
+    const task = snapshot.tasks.find(t => t.order === change.order);
+
+    if (change.type === 'ADD_TASK') {
+      snapshot.tasks.push(expected);
+      applied.push(change);
+    } else if (change.type === 'UPDATE_TASK') {
+      const activation = change.fields.find(f => f.field === 'isActive');
+      if (activation && task.status === 'pending_approval') {
+        skipped.push({ ...change, reason: 'Tasks waiting for completion approval are kept. Approve or reject the completion first.' });
+        return;
+      }
+      task.name = expected.name;
+      task.responsible = expected.responsible;
+      task.precedingTasks = expected.precedingTasks;
+      task.dependencyLinks = expected.dependencyLinks;
+      task.leadTime = expected.leadTime;
+      task.phase = expected.phase;
+      task.isMilestone = expected.isMilestone;
+      // Items that are kept keep their ticks
+      task.checklist = mergeChecklist(task.checklist, expected.checklist.map(item => item.label));
+      task.checklistRequired = expected.checklistRequired;
+      task.requiresApproval = expected.requiresApproval;
+      task.approverDepartment = expected.approverDepartment;
+      if (activation) {
+        task.sourceTemplateActiveOnCreation = expected.sourceTemplateActiveOnCreation;
+        if (!expected.sourceTemplateActiveOnCreation && task.status !== 'completed') {
+          // Deactivated: the task no longer applies, as if the season were created now
+          task.status = 'completed';
+        } else if (expected.sourceTemplateActiveOnCreation && expected.status === 'pending'
+          && task.status === 'completed' && !task.actualCompletion && !task.skipped) {
+          // Reactivated: a task that was auto-completed for its inactive template is to be done again
+          task.status = 'pending';
+        }
+      }
+      applied.push(change);
+    } else if (task.status === 'pending_approval') {
+      skipped.push({ ...change, reason: pendingApprovalMessage('removing the task') });
+    } else if (change.isCompleted) {
+      skipped.push({ ...change, reason: 'Completed tasks are kept for their actual dates.' });
+    } else if (task.attachments && task.attachments.length > 0) {
+      skipped.push({ ...change, reason: 'Tasks with attachments are kept.' });
+    } else {
+      rewireDependents(snapshot.tasks, task);
+      snapshot.tasks.pull(task._id);
+      applied.push(change);
+    }
+  });
+
+  return { applied, skipped };
+}
+
+/**
+ * Finds the tasks of a snapshot that would clash with template tasks renumbered by `mapping`:
+ * tasks that keep their code (custom tasks, tasks of deleted templates) while a template task
+ * is renamed to that code.
+ * @param {Object} snapshot - The SeasonSnapshot document.
+ * @param {Object} mapping - Old template order code → new code.
+ * @returns {Array} - The clashing tasks.
+ */
+function findRenumberingConflicts(snapshot, mapping) {
+  const renamedTo = new Set(snapshot.tasks.filter(t => !t.isCustom && mapping[t.order]).map(t => mapping[t.order]));
+  return snapshot.tasks.filter(t => (t.isCustom || !mapping[t.order]) && renamedTo.has(t.order));
+}
+
+/**
+ * Renames the template tasks of a snapshot in memory after their templates were renumbered, so the
+ * template sync keeps matching them by order code; preceding task references are rewritten.
+ * Custom tasks keep their codes. Check findRenumberingConflicts first.
+ * @param {Object} snapshot - The SeasonSnapshot document.
+ * @param {Object} mapping - Old template order code → new code.
+ * @returns {Object} - The codes renamed in this snapshot, old → new.
+ */
+function renameSnapshotTasks(snapshot, mapping) {
+  const renamed = {};
+  snapshot.tasks.forEach(task => {
+    if (!task.isCustom && mapping[task.order]) renamed[task.order] = mapping[task.order];
+  });
+  if (Object.keys(renamed).length === 0) return renamed;
+
+  snapshot.tasks.forEach(task => {
+    const { precedingTasks, dependencyLinks } = renameDependencies(task.precedingTasks, task.dependencyLinks, renamed);
+    if (renamed[task.order] && !task.isCustom) task.order = renamed[task.order];
+    task.precedingTasks = precedingTasks;
+    task.dependencyLinks = dependencyLinks;
+  });
+  return renamed;
+}
+
+/**
+ * Describes a list of applied changes for activity logs.
+ * @param {Array} changes - Changes from diffSnapshotWithTemplates.
+ * @returns {string}
+ */
+function describeTemplateChanges(changes) {
+  return changes.map(change => {
+    if (change.type === 'ADD_TASK') return `added ${change.order} - ${change.name}`;
+    if (change.type === 'REMOVE_TASK') return `removed ${change.order} - ${change.name}`;
+    const fields = change.fields.map(f => `${f.field} "${f.from === '' ? 'none' : f.from}" → "${f.to === '' ? 'none' : f.to}"`);
+    return `updated ${change.order} (${fields.join(', ')})`;
+  }).join('; ');
+}
+
+module.exports = {
+  isTemplateApplicable,
+  buildSnapshotTask,
+  buildSnapshotTasks,
+  diffSnapshotWithTemplates,
+  applyTemplateChanges,
+  findRenumberingConflicts,
+  renameSnapshotTasks,
+  describeTemplateChanges,
+};
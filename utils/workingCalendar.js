@@ -0,0 +1,147 @@
+const moment = require('moment');
+const Setting = require('../models/Setting');
+const Holiday = require('../models/Holiday');
+
+// Monday to Saturday, matching the seeded 'workingWeekdays' setting
+const DEFAULT_WORKING_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Builds an in-memory calendar object used by the date helpers below.
+ * @param {Array<number>} workingWeekdays - Working days of the week (0 = Sunday ... 6 = Saturday).
+ * @param {Array} holidays - Holiday documents or plain objects with { date, isRecurring }.
+ * @returns {Object} - The calendar object.
+ */
+function buildCalendar(workingWeekdays, holidays = []) {
+  const validWeekdays = (workingWeekdays || []).filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+  const calendar = {
+    // Fall back to the default pattern so an empty setting can never stall the date loops
+    workingWeekdays: new Set(validWeekdays.length > 0 ? validWeekdays : DEFAULT_WORKING_WEEKDAYS),
+    holidayDates: new Set(),
+    recurringHolidays: new Set()
+  };
+
+  holidays.forEach(holiday => {
+    const holidayDate = moment(holiday.date);
+    if (holiday.isRecurring) {
+      calendar.recurringHolidays.add(holidayDate.format('MM-DD'));
+    } else {
+      calendar.holidayDates.add(holidayDate.format('YYYY-MM-DD'));
+    }
+  });
+
+  return calendar;
+}
+
+const DEFAULT_CALENDAR = buildCalendar(DEFAULT_WORKING_WEEKDAYS);
+
+/**
+ * Loads the company calendar (weekly working pattern and holidays) from the database.
+ * @returns {Promise<Object>} - The calendar object.
+ */
+async function loadCalendar() {
+  const [weekdaySetting, holidays] = await Promise.all([
+    Setting.findOne({ key: 'workingWeekdays' }),
+    Holiday.find({}).select('date isRecurring').lean()
+  ]);
+
+  const workingWeekdays = weekdaySetting && Array.isArray(weekdaySetting.value)
+    ? weekdaySetting.value
+    : DEFAULT_WORKING_WEEKDAYS;
+
+  return buildCalendar(workingWeekdays, holidays);
+}
+
+/**
+ * Checks whether the factory works on the given date.
+ * @param {Date} date - The date to check.
+ * @param {Object} calendar - The calendar object.
+ * @returns {boolean}
+ */
+function isWorkingDay(date, calendar = DEFAULT_CALENDAR) {
+  const day = moment(date);
+  if (!calendar.workingWeekdays.has(day.day())) {
+    return false;
+  }
+  if (calendar.holidayDates.has(day.format('YYYY-MM-DD'))) {
+    return false;
+  }
+  return !calendar.recurringHolidays.has(day.format('MM-DD'));
+}
+
+/**
+ * Returns the date itself if it is a working day, otherwise the next working day (same time of day).
+ * @param {Date} date - The starting date.
+ * @param {Object} calendar - The calendar object.
+ * @returns {Date}
+ */
+function nextWorkingDay(date, calendar = DEFAULT_CALENDAR) {
+  const day = moment(date);
+  while (!isWorkingDay(day, calendar)) {
+    day.add(1, 'days');
+  }
+  return day.toDate();
+}
+
+/**
+ * Adds a number of working days to a date, skipping non-working weekdays and holidays.
+ * @param {Date} date - The starting date.
+ * @param {number} days - The number of working days to add.
+ * @param {Object} calendar - The calendar object.
+ * @returns {Date}
+ */
+function addWorkingDays(date, days, calendar = DEFAULT_CALENDAR) {
+  const day = moment(date);
+  let remaining = days;
+  while (remaining > 0) {
+    day.add(1, 'days');
+    if (isWorkingDay(day, calendar)) {
+      remaining--;
+    }
+  }
+  return day.toDate();
+}
+
+/**
+ * Returns the date itself if it is a working day, otherwise the previous working day (same time of day).
+ * @param {Date} date - The starting date.
+ * @param {Object} calendar - The calendar object.
+ * @returns {Date}
+ */
+function previousWorkingDay(date, calendar = DEFAULT_CALENDAR) {
+  const day = moment(date);
+  while (!isWorkingDay(day, calendar)) {
+    day.subtract(1, 'days');
+  }
+  return day.toDate();
+}
+
+/**
+ * Subtracts a number of working days from a date, skipping non-working weekdays and holidays.
+ * @param {Date} date - The starting date.
+ * @param {number} days - The number of working days to subtract.
+ * @param {Object} calendar - The calendar object.
+ * @returns {Date}
+ */
+function subtractWorkingDays(date, days, calendar = DEFAULT_CALENDAR) {
+  const day = moment(date);
+  let remaining = days;
+  while (remaining > 0) {
+    day.subtract(1, 'days');
+    if (isWorkingDay(day, calendar)) {
+      remaining--;
+    }
+  }
+  return day.toDate();
+}
+
+module.exports = {
+  DEFAULT_WORKING_WEEKDAYS,
+  buildCalendar,
+  loadCalendar,
+  isWorkingDay,
+  nextWorkingDay,
+  addWorkingDays,
+  previousWorkingDay,
+  subtractWorkingDays,
+};